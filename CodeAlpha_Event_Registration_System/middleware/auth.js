@@ -0,0 +1,89 @@
+// middleware/auth.js - This file handles user authentication with JSON Web Tokens (JWT)
+// Logged in users send their token in the header: Authorization: Bearer <token>
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Secret used to sign tokens - anyone who knows it can log in as any user
+// The built-in secret is only used in development (NODE_ENV=development); everywhere else JWT_SECRET must be set
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('JWT_SECRET is not set - set it to a long random string (or NODE_ENV=development for local development)');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'event-registration-dev-secret';
+
+// How long a token stays valid
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+// Create a signed token for a user
+// The token only contains the user's ID, everything else is loaded from the database
+const generateToken = (user) => {
+  return jwt.sign({ userId: user._id.toString() }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+};
+
+// Resolve the current user from the Authorization header
+// This runs for every request (see server.js) and sets req.user when the token is valid
+// Requests without a valid token simply continue with req.user = null
+const authenticate = async (req, res, next) => {
+  req.user = null;
+  
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  
+  // No token sent - continue as an anonymous request
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+  
+  try {
+    // Check the signature and expiry of the token
+    const payload = jwt.verify(token, JWT_SECRET);
+    
+    // Load the user the token belongs to (deleted accounts can no longer log in)
+    req.user = await User.findOne({ _id: payload.userId, deletedAt: null });
+    next();
+    
+  } catch (error) {
+    // Invalid or expired tokens are rejected instead of silently ignored,
+    // so the client knows it has to log in again
+    res.status(401).json({ 
+      error: 'Invalid or expired token',
+      details: error.message 
+    });
+  }
+};
+
+// Only allow logged in users to reach the route
+// Use this on individual routes: router.post('/register', requireAuth, ...)
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required' 
+    });
+  }
+  
+  next();
+};
+
+// Only allow users with one of the given roles to reach the route
+// Use it after requireAuth: router.post('/', requireAuth, requireRole('organizer', 'admin'), ...)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to do this',
+        reason: `This action requires one of these roles: ${roles.join(', ')}`
+      });
+    }
+    
+    next();
+  };
+};
+
+module.exports = {
+  generateToken,
+  authenticate,
+  requireAuth,
+  requireRole
+};
@@ -1,6 +1,193 @@
 // models/Event.js - This file defines the Event schema/structure
 
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/recurrence');
+const { QUESTION_TYPES, validateQuestions } = require('../utils/registrationForm');
+
+// Structure of one custom registration question (see utils/registrationForm.js)
+const registrationQuestionSchema = new mongoose.Schema({
+  // Name of the answer, e.g. 'diet' - answers are sent as { diet: 'Vegan' }
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z0-9_-]+$/, 'Question key can only contain letters, numbers, "-" and "_"']
+  },
+  
+  // Text shown to the user, e.g. 'Dietary needs'
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Kind of answer: text, textarea, number, select, multiselect or checkbox
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text'
+  },
+  
+  // Must the question be answered?
+  required: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Choices for select and multiselect questions
+  options: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+// Kinds of ticket an event can sell
+// 'free' tickets cost nothing, all other kinds have a price
+const TICKET_KINDS = ['free', 'early-bird', 'standard', 'vip'];
+
+// Structure of one ticket type, e.g. { name: 'Early bird', kind: 'early-bird', price: 1500, quantity: 50 }
+const ticketTypeSchema = new mongoose.Schema({
+  // Name shown to the user, e.g. 'Early bird' or 'VIP (with dinner)'
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Kind of ticket: free, early-bird, standard or vip
+  kind: {
+    type: String,
+    enum: TICKET_KINDS,
+    default: 'standard'
+  },
+  
+  // Price in the smallest unit of the event's currency (cents), so 2500 = 25.00
+  // Whole numbers only - no rounding problems with money
+  price: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Price must be a whole number of cents'
+    }
+  },
+  
+  // How many tickets of this type can be sold (null = as many as the event has seats)
+  quantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  
+  // Number of tickets of this type held by active registrations
+  // Only changed through claimTickets/releaseTickets so it stays consistent
+  sold: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Sale window - the ticket can only be bought between these times (null = no limit)
+  salesStartAt: {
+    type: Date,
+    default: null
+  },
+  salesEndAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Include the virtual fields (available, onSale) in API responses
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Instance method - can this ticket be bought right now?
+// Returns { onSale, reason }
+ticketTypeSchema.methods.getSaleState = function(now = new Date()) {
+  if (this.salesStartAt && now < this.salesStartAt) {
+    return { onSale: false, reason: `${this.name} tickets go on sale on ${this.salesStartAt.toISOString()}` };
+  }
+  if (this.salesEndAt && now >= this.salesEndAt) {
+    return { onSale: false, reason: `${this.name} tickets are no longer on sale` };
+  }
+  if (this.quantity !== null && this.sold >= this.quantity) {
+    return { onSale: false, reason: `${this.name} tickets are sold out` };
+  }
+  return { onSale: true, reason: null };
+};
+
+// Virtual field - how many tickets of this type are left (null = no limit of its own)
+ticketTypeSchema.virtual('available').get(function() {
+  return this.quantity === null ? null : Math.max(this.quantity - this.sold, 0);
+});
+
+// Virtual field - can this ticket be bought right now?
+ticketTypeSchema.virtual('onSale').get(function() {
+  return this.getSaleState().onSale;
+});
+
+// Structure of one session of a multi-session event (e.g. a talk or workshop of a conference track)
+// Attendees of the event choose their sessions after registering (see Registration.chooseSessions)
+const sessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  description: {
+    type: String,
+    trim: true
+  },
+  
+  // When the session starts and ends - always inside the event's own time
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  
+  // Where it takes place, e.g. 'Room A' or 'Main hall'
+  room: {
+    type: String,
+    trim: true
+  },
+  
+  // Names of the speakers
+  speakers: [{
+    type: String,
+    trim: true
+  }],
+  
+  // Maximum number of attendees in the session (null = as many as the event has)
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  
+  // Number of attendees who chose the session
+  // Only changed through claimSessionSeat/releaseSessionSeat so it stays consistent
+  seatsTaken: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  // Include the virtual field (available) in API responses
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Virtual field - how many seats of the session are left (null = no limit of its own)
+sessionSchema.virtual('available').get(function() {
+  return this.capacity === null ? null : Math.max(this.capacity - this.seatsTaken, 0);
+});
 
 // Define the structure of an Event document
 const eventSchema = new mongoose.Schema({
@@ -22,14 +209,596 @@ const eventSchema = new mongoose.Schema({
   date: {
     type: Date,
     required: true
+  },
+  
+  // Event end time (optional) - must be after the start date
+  endDate: {
+    type: Date,
+    default: null
+  },
+  
+  // Timezone the event takes place in, e.g. 'Europe/Berlin' or 'Asia/Kolkata'
+  // Dates are always stored in UTC, the timezone is used to display them
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown timezone'
+    }
+  },
+  
+  // How the event takes place
+  // 'in-person' - at a venue, 'online' - through a meeting link, 'hybrid' - both
+  format: {
+    type: String,
+    enum: ['in-person', 'online', 'hybrid'],
+    default: 'in-person'
+  },
+  
+  // Where the event takes place (for in-person and hybrid events)
+  venue: {
+    name: {
+      type: String,
+      trim: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    // Optional map coordinates of the venue
+    coordinates: {
+      lat: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    }
+  },
+  
+  // Join link for online and hybrid events
+  // select: false hides it from queries - it is only sent to registered attendees
+  onlineMeetingUrl: {
+    type: String,
+    trim: true,
+    select: false,
+    match: [/^https?:\/\/\S+$/, 'Online meeting URL must start with http:// or https://']
+  },
+  
+  // When attendees get reminder emails, in minutes before the event (e.g. [1440, 60])
+  // Not set - the server default (REMINDER_OFFSETS) is used; empty list - no reminders
+  reminderOffsets: {
+    type: [{ type: Number, min: 1 }],
+    default: undefined
+  },
+  
+  // Registration window - people can only register between these times (null = no limit)
+  // Registration always closes when the event starts
+  registrationOpensAt: {
+    type: Date,
+    default: null
+  },
+  registrationClosesAt: {
+    type: Date,
+    default: null
+  },
+  
+  // After this time attendees can no longer cancel their registration themselves (null = until the event starts)
+  cancellationDeadline: {
+    type: Date,
+    default: null
+  },
+  
+  // Invite-only events - registrations wait as 'pending' until an organizer approves or rejects them
+  // (see Registration.requestApproval)
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Custom questions asked when people register, e.g. dietary needs or T-shirt size
+  registrationQuestions: {
+    type: [registrationQuestionSchema],
+    default: []
+  },
+  
+  // Tickets people can choose from when registering
+  // Events without ticket types are free, like before ticket types existed
+  // Change them with mergeTicketTypes, so the sold counts are kept
+  ticketTypes: {
+    type: [ticketTypeSchema],
+    default: []
+  },
+  
+  // Agenda of multi-session events, e.g. the talks of parallel conference tracks (empty = a single block of time)
+  // Change them with mergeSessions, so the numbers of attendees are kept
+  sessions: {
+    type: [sessionSchema],
+    default: []
+  },
+  
+  // Currency of the ticket prices (ISO 4217 code, e.g. 'USD' or 'EUR')
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. USD']
+  },
+  
+  // Event capacity - maximum number of confirmed attendees
+  // Leave empty (null) for events with unlimited seats
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  
+  // The user who created the event
+  // The organizer can manage the event and its registrations
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  // The recurring series this event belongs to (null for one-off events)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  
+  // Number of confirmed seats already taken
+  // Only changed through claimSeat/releaseSeat so it stays consistent
+  seatsTaken: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Event status
+  // 'scheduled' - the event is going ahead
+  // 'cancelled' - the event was cancelled (events are never hard-deleted)
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  
+  // When the event was cancelled (null while it is scheduled)
+  cancelledAt: {
+    type: Date,
+    default: null
   }
 }, {
   // Automatically add createdAt and updatedAt timestamps
-  timestamps: true
+  timestamps: true,
+  // Include virtual fields (registrationState) in API responses, but no extra "id" copy of _id
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Pre-validate middleware - the end date must come after the start date
+eventSchema.pre('validate', function(next) {
+  if (this.endDate && this.date && this.endDate <= this.date) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  
+  // The registration window must open before it closes
+  if (this.registrationOpensAt && this.registrationClosesAt && 
+      this.registrationClosesAt <= this.registrationOpensAt) {
+    this.invalidate('registrationClosesAt', 'Registration must close after it opens');
+  }
+  
+  // Ticket types need different names, free tickets cost nothing and paid ones something,
+  // and every sale window must end after it starts
+  const ticketTypes = this.ticketTypes || [];
+  const ticketNames = ticketTypes.map((ticketType) => (ticketType.name || '').toLowerCase());
+  if (new Set(ticketNames).size !== ticketNames.length) {
+    this.invalidate('ticketTypes', 'Ticket types must have different names');
+  }
+  ticketTypes.forEach((ticketType) => {
+    if ((ticketType.kind === 'free') !== (ticketType.price === 0)) {
+      this.invalidate('ticketTypes', `${ticketType.name}: only free tickets can have a price of 0`);
+    }
+    if (ticketType.salesStartAt && ticketType.salesEndAt && ticketType.salesEndAt <= ticketType.salesStartAt) {
+      this.invalidate('ticketTypes', `${ticketType.name}: the sale must end after it starts`);
+    }
+  });
+  
+  // Sessions must end after they start, take place during the event,
+  // and two sessions in the same room can not overlap
+  const sessions = this.sessions || [];
+  sessions.forEach((session, index) => {
+    if (session.startsAt && session.endsAt && session.endsAt <= session.startsAt) {
+      this.invalidate('sessions', `${session.title}: the session must end after it starts`);
+    }
+    if (this.date && session.startsAt && session.startsAt < this.date) {
+      this.invalidate('sessions', `${session.title}: the session can not start before the event`);
+    }
+    if (this.endDate && session.endsAt && session.endsAt > this.endDate) {
+      this.invalidate('sessions', `${session.title}: the session can not end after the event`);
+    }
+    
+    const clash = sessions.slice(index + 1).find((other) => 
+      session.room && other.room && session.room.toLowerCase() === other.room.toLowerCase() &&
+      session.startsAt < other.endsAt && other.startsAt < session.endsAt
+    );
+    if (clash) {
+      this.invalidate('sessions', `${session.title} and ${clash.title} are in ${session.room} at the same time`);
+    }
+  });
+  
+  // The registration questions must make sense together (unique keys, options for selects)
+  const questionsError = validateQuestions(this.registrationQuestions || []);
+  if (questionsError) {
+    this.invalidate('registrationQuestions', questionsError);
+  }
+  next();
 });
 
+// Index on date for listing, filtering and sorting events by date
+eventSchema.index({ date: 1 });
+
+// Index for finding the occurrences of a series in date order
+eventSchema.index({ series: 1, date: 1 });
+
+// Instance method - check if a user may manage this event
+// Only the event's organizer and admins can manage an event
+eventSchema.methods.isManagedBy = function(user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !!this.organizer && this.organizer.equals(user._id);
+};
+
+// Instance method - check if a user may see the online meeting link
+// The link is only for confirmed attendees and the people managing the event
+eventSchema.methods.canJoinOnline = async function(user) {
+  if (!user) return false;
+  if (this.isManagedBy(user)) return true;
+  
+  const Registration = mongoose.model('Registration');
+  const registration = await Registration.exists({ 
+    eventId: this._id, 
+    userId: user._id, 
+    status: { $in: ['confirmed', 'attended'] } 
+  });
+  return registration !== null;
+};
+
+// Instance method - can people register for this event right now?
+// Returns { status, open, reason }, status is one of:
+//   'open' - registration is open
+//   'not-open-yet' - before registrationOpensAt
+//   'closed' - after registrationClosesAt
+//   'started' - the event has already started (or is over)
+//   'cancelled' - the event was cancelled
+eventSchema.methods.getRegistrationState = function(now = new Date()) {
+  if (this.status === 'cancelled') {
+    return { status: 'cancelled', open: false, reason: 'This event has been cancelled' };
+  }
+  if (this.date <= now) {
+    return { status: 'started', open: false, reason: 'This event has already started' };
+  }
+  if (this.registrationOpensAt && now < this.registrationOpensAt) {
+    return { 
+      status: 'not-open-yet', 
+      open: false, 
+      reason: `Registration opens on ${this.registrationOpensAt.toISOString()}` 
+    };
+  }
+  if (this.registrationClosesAt && now >= this.registrationClosesAt) {
+    return { status: 'closed', open: false, reason: 'Registration for this event is closed' };
+  }
+  return { status: 'open', open: true, reason: null };
+};
+
+// Instance method - can attendees still cancel their own registration?
+// Not after the cancellation deadline, and not once the event has started
+eventSchema.methods.canCancelRegistration = function(now = new Date()) {
+  if (this.date <= now) return false;
+  if (this.cancellationDeadline && now >= this.cancellationDeadline) return false;
+  return true;
+};
+
+// Virtual field - the registration state, so the UI can enable or disable its buttons
+// Included in every API response that returns an event
+eventSchema.virtual('registrationState').get(function() {
+  // Events loaded with only some fields (e.g. just the title) have no state
+  if (!this.date) return undefined;
+  
+  const { status, open, reason } = this.getRegistrationState();
+  return {
+    status,
+    open,
+    reason,
+    canCancel: this.status !== 'cancelled' && this.canCancelRegistration()
+  };
+});
+
+// Instance method - find one of the event's ticket types by its ID
+// Returns null if the event has no such ticket type
+eventSchema.methods.getTicketType = function(ticketTypeId) {
+  if (!mongoose.isValidObjectId(ticketTypeId)) return null;
+  return this.ticketTypes.id(ticketTypeId);
+};
+
+// Instance method - merge changed ticket types into the event's current ones
+// updates - the new list of ticket types; entries with an _id change that type, entries without add a new one
+// Types left out are removed, but only if none of their tickets were sold
+// The sold counts always stay as they are, and a quantity can not drop below the tickets already sold
+// Returns { ticketTypes } with the merged list, or { error }
+eventSchema.methods.mergeTicketTypes = function(updates) {
+  if (!Array.isArray(updates)) {
+    return { error: 'Ticket types must be a list' };
+  }
+  
+  const ticketTypes = [];
+  for (const update of updates) {
+    const { sold, ...fields } = update || {};
+    
+    // A new ticket type
+    if (!fields._id) {
+      ticketTypes.push(fields);
+      continue;
+    }
+    
+    // A change to an existing ticket type
+    const existing = this.getTicketType(fields._id);
+    if (!existing) {
+      return { error: `Unknown ticket type: ${fields._id}` };
+    }
+    const merged = { ...existing.toObject(), ...fields, sold: existing.sold };
+    if (merged.quantity !== null && merged.quantity < existing.sold) {
+      return { error: `${existing.name}: quantity can not be lower than the ${existing.sold} tickets already sold` };
+    }
+    ticketTypes.push(merged);
+  }
+  
+  // Ticket types that were left out
+  const keptIds = new Set(ticketTypes.filter((ticketType) => ticketType._id).map((ticketType) => String(ticketType._id)));
+  const removedWithSales = this.ticketTypes.find((ticketType) => 
+    !keptIds.has(String(ticketType._id)) && ticketType.sold > 0
+  );
+  if (removedWithSales) {
+    return { error: `${removedWithSales.name} can not be removed - ${removedWithSales.sold} tickets were already sold` };
+  }
+  
+  return { ticketTypes };
+};
+
+// Instance method - find one of the event's sessions by its ID
+// Returns null if the event has no such session
+eventSchema.methods.getSession = function(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return this.sessions.id(sessionId);
+};
+
+// Instance method - merge changed sessions into the event's current ones
+// Works like mergeTicketTypes: entries with an _id change that session, entries without add a new one,
+// sessions left out are removed (only if nobody chose them), and the numbers of attendees are kept
+// Returns { sessions } with the merged list, or { error }
+eventSchema.methods.mergeSessions = function(updates) {
+  if (!Array.isArray(updates)) {
+    return { error: 'Sessions must be a list' };
+  }
+  
+  const sessions = [];
+  for (const update of updates) {
+    const { seatsTaken, ...fields } = update || {};
+    
+    // A new session
+    if (!fields._id) {
+      sessions.push(fields);
+      continue;
+    }
+    
+    // A change to an existing session
+    const existing = this.getSession(fields._id);
+    if (!existing) {
+      return { error: `Unknown session: ${fields._id}` };
+    }
+    const merged = { ...existing.toObject(), ...fields, seatsTaken: existing.seatsTaken };
+    if (merged.capacity !== null && merged.capacity < existing.seatsTaken) {
+      return { error: `${existing.title}: capacity can not be lower than the ${existing.seatsTaken} attendees who chose it` };
+    }
+    sessions.push(merged);
+  }
+  
+  // Sessions that were left out
+  const keptIds = new Set(sessions.filter((session) => session._id).map((session) => String(session._id)));
+  const removedWithAttendees = this.sessions.find((session) => 
+    !keptIds.has(String(session._id)) && session.seatsTaken > 0
+  );
+  if (removedWithAttendees) {
+    return { error: `${removedWithAttendees.title} can not be removed - ${removedWithAttendees.seatsTaken} attendees chose it` };
+  }
+  
+  return { sessions };
+};
+
+// Atomically take one seat of an event
+// The capacity check and the increment happen in a single database operation,
+// so two concurrent registrations can never both get the last seat
+// Returns the updated event, or null if the event is full, cancelled (or does not exist)
+eventSchema.statics.claimSeat = function(eventId) {
+  return this.claimSeats(eventId, 1);
+};
+
+// Atomically take several seats of an event at once (used for group registrations)
+// Either all seats are taken or none - a group never gets only part of the seats it needs
+// Pass a session to take the seats inside a transaction
+// Returns the updated event, or null if there are not enough free seats
+eventSchema.statics.claimSeats = function(eventId, seats, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $ne: 'cancelled' },
+      $or: [
+        { capacity: null },                                                      // Unlimited seats
+        { $expr: { $lte: [{ $add: ['$seatsTaken', seats] }, '$capacity'] } }     // Enough seats free
+      ]
+    },
+    { $inc: { seatsTaken: seats } },
+    { new: true, session }
+  );
+};
+
+// Atomically take tickets of one ticket type
+// The quantity check and the increment happen in a single database operation, like claimSeats
+// Pass a session to take the tickets inside a transaction
+// Returns the updated event, or null if there are not enough tickets of that type left
+eventSchema.statics.claimTickets = function(eventId, ticketTypeId, count = 1, session = null) {
+  const typeId = new mongoose.Types.ObjectId(String(ticketTypeId));
+  
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $ne: 'cancelled' },
+      // The ticket type must exist and have enough tickets left
+      $expr: {
+        $gt: [{
+          $size: {
+            $filter: {
+              input: '$ticketTypes',
+              cond: {
+                $and: [
+                  { $eq: ['$$this._id', typeId] },
+                  { $or: [
+                    { $eq: [{ $ifNull: ['$$this.quantity', null] }, null] },           // No limit
+                    { $lte: [{ $add: ['$$this.sold', count] }, '$$this.quantity'] }     // Enough left
+                  ] }
+                ]
+              }
+            }
+          }
+        }, 0]
+      }
+    },
+    { $inc: { 'ticketTypes.$[type].sold': count } },
+    { arrayFilters: [{ 'type._id': typeId }], new: true, session }
+  );
+};
+
+// Give tickets of a ticket type back (e.g. when a registration is cancelled)
+eventSchema.statics.releaseTickets = function(eventId, ticketTypeId, count = 1) {
+  const typeId = new mongoose.Types.ObjectId(String(ticketTypeId));
+  
+  return this.findOneAndUpdate(
+    { _id: eventId, ticketTypes: { $elemMatch: { _id: typeId, sold: { $gte: count } } } },
+    { $inc: { 'ticketTypes.$.sold': -count } },
+    { new: true }
+  );
+};
+
+// Atomically take one seat of a session
+// The capacity check and the increment happen in a single database operation, like claimTickets
+// Returns the updated event, or null if the session is full (or does not exist)
+eventSchema.statics.claimSessionSeat = function(eventId, sessionId) {
+  const id = new mongoose.Types.ObjectId(String(sessionId));
+  
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $ne: 'cancelled' },
+      // The session must exist and have a seat left
+      $expr: {
+        $gt: [{
+          $size: {
+            $filter: {
+              input: '$sessions',
+              cond: {
+                $and: [
+                  { $eq: ['$$this._id', id] },
+                  { $or: [
+                    { $eq: [{ $ifNull: ['$$this.capacity', null] }, null] },   // No limit
+                    { $lt: ['$$this.seatsTaken', '$$this.capacity'] }           // A seat left
+                  ] }
+                ]
+              }
+            }
+          }
+        }, 0]
+      }
+    },
+    { $inc: { 'sessions.$[session].seatsTaken': 1 } },
+    { arrayFilters: [{ 'session._id': id }], new: true }
+  );
+};
+
+// Give one seat of a session back (e.g. when an attendee drops the session or cancels)
+eventSchema.statics.releaseSessionSeat = function(eventId, sessionId) {
+  const id = new mongoose.Types.ObjectId(String(sessionId));
+  
+  return this.findOneAndUpdate(
+    { _id: eventId, sessions: { $elemMatch: { _id: id, seatsTaken: { $gt: 0 } } } },
+    { $inc: { 'sessions.$.seatsTaken': -1 } },
+    { new: true }
+  );
+};
+
+// Update an event with new values
+// The values are checked against the schema first (e.g. end date after start date)
+// The capacity can not be lower than the number of confirmed attendees - this check is part
+// of the update itself, so a registration arriving at the same time can not slip through
+// Pass a session to update the event inside a transaction
+// Returns the updated event, or null if the new capacity is too low (or tickets were sold or sessions
+// chosen while the ticket types or sessions were being changed)
+eventSchema.statics.applyUpdates = async function(event, updates, session = null) {
+  // The sold counts and session attendees as they were when the event was loaded
+  const soldCounts = event.ticketTypes.map((ticketType) => ticketType.sold);
+  const sessionSeats = event.sessions.map((session) => session.seatsTaken);
+  
+  // Only validate here, the actual update happens below
+  event.set(updates);
+  await event.validate();
+  
+  const filter = { _id: event._id };
+  if (updates.capacity) {
+    filter.seatsTaken = { $lte: updates.capacity };
+  }
+  
+  // Ticket types are saved as a whole list - only if no ticket was sold in the meantime,
+  // otherwise the new sold counts would be overwritten
+  // The same for sessions and the numbers of attendees who chose them
+  const unchanged = [];
+  if (updates.ticketTypes) {
+    unchanged.push({ $eq: [{ $ifNull: ['$ticketTypes.sold', []] }, soldCounts] });
+  }
+  if (updates.sessions) {
+    unchanged.push({ $eq: [{ $ifNull: ['$sessions.seatsTaken', []] }, sessionSeats] });
+  }
+  if (unchanged.length > 0) {
+    filter.$expr = { $and: unchanged };
+  }
+  
+  return this.findOneAndUpdate(filter, updates, {
+    new: true,
+    runValidators: true,
+    session
+  });
+};
+
+// Give one seat of an event back (e.g. when a confirmed registration is cancelled)
+eventSchema.statics.releaseSeat = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, seatsTaken: { $gt: 0 } },
+    { $inc: { seatsTaken: -1 } },
+    { new: true }
+  );
+};
+
 // Create and export the Event model
 // This model will be used to interact with the 'events' collection in MongoDB
 const Event = mongoose.model('Event', eventSchema);
 
+// The kinds of ticket, e.g. for the frontend's ticket type form
+Event.TICKET_KINDS = TICKET_KINDS;
+
 module.exports = Event;
@@ -0,0 +1,106 @@
+// models/EventSeries.js - This file defines the EventSeries schema/structure
+// A series is a recurring event (e.g. a meetup every two weeks)
+// Each occurrence of the series is a normal Event that attendees register for individually
+
+const mongoose = require('mongoose');
+const { FREQUENCIES, isValidTimeZone, validateRecurrence } = require('../utils/recurrence');
+
+// Define the structure of an EventSeries document
+const eventSeriesSchema = new mongoose.Schema({
+  // Series title - copied to every occurrence
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Series description - copied to every occurrence
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Date and time of the first occurrence
+  startDate: {
+    type: Date,
+    required: true
+  },
+  
+  // How long each occurrence lasts (optional)
+  durationMinutes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  
+  // Timezone of the series - occurrences keep the same local time across daylight saving changes
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown timezone'
+    }
+  },
+  
+  // Recurrence rule - how often the event repeats (see utils/recurrence.js)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    count: {
+      type: Number,
+      min: 1
+    },
+    until: {
+      type: Date
+    }
+  },
+  
+  // Dates ('YYYY-MM-DD' in the series timezone) on which the event does not take place
+  exceptions: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Exception dates must look like YYYY-MM-DD']
+  }],
+  
+  // The user who created the series
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  // Automatically add createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Pre-validate middleware - check the recurrence rule as a whole
+eventSeriesSchema.pre('validate', function(next) {
+  const error = validateRecurrence(this.recurrence && this.recurrence.toObject());
+  if (error) {
+    this.invalidate('recurrence', error);
+  }
+  next();
+});
+
+// Instance method - check if a user may manage this series
+// Same rule as for events: only the organizer and admins
+eventSeriesSchema.methods.isManagedBy = function(user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return this.organizer.equals(user._id);
+};
+
+// Create and export the EventSeries model
+// This model will be used to interact with the 'eventseries' collection in MongoDB
+const EventSeries = mongoose.model('EventSeries', eventSeriesSchema);
+
+module.exports = EventSeries;
@@ -0,0 +1,75 @@
+// models/Notification.js - This file defines the Notification schema/structure
+// Every attempt to send an email is recorded here, whether it worked or not
+
+const mongoose = require('mongoose');
+
+// Define the structure of a Notification document
+const notificationSchema = new mongoose.Schema({
+  // Which template was sent (see notifications/templates.js)
+  type: {
+    type: String,
+    required: true
+  },
+  
+  // Email address the message was sent to
+  to: {
+    type: String,
+    required: true
+  },
+  
+  // Email subject
+  subject: {
+    type: String,
+    required: true
+  },
+  
+  // Which transport was used to send it ('smtp', 'file' or 'console')
+  transport: {
+    type: String,
+    required: true
+  },
+  
+  // Result of the send attempt
+  // 'sent' - the transport accepted the message
+  // 'failed' - the transport returned an error (see "error")
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  
+  // Error message if sending failed
+  error: {
+    type: String,
+    default: null
+  },
+  
+  // Related documents - useful to see all messages about one event or registration
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  registrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    default: null
+  }
+}, {
+  // Automatically add createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Index for looking up the messages sent about an event
+notificationSchema.index({ eventId: 1, createdAt: -1 });
+
+// Create and export the Notification model
+// This model will be used to interact with the 'notifications' collection in MongoDB
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,195 @@
+// models/PromoCode.js - This file defines the PromoCode schema/structure
+// A promo code gives a discount on paid tickets, e.g. 'EARLY20' for 20% off
+// Codes can be limited to some events and ticket types, a number of uses and an expiry date
+
+const mongoose = require('mongoose');
+
+// Define the structure of a PromoCode document
+const promoCodeSchema = new mongoose.Schema({
+  // The code people type in, e.g. 'EARLY20' - stored in capitals, so codes are not case sensitive
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3 to 32 letters, numbers, "-" or "_"']
+  },
+  
+  // Kind of discount
+  // 'percentage' - value is the percentage taken off (1 to 100)
+  // 'fixed' - value is the amount taken off, in cents of the code's currency
+  kind: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  
+  value: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Value must be a whole number'
+    }
+  },
+  
+  // Currency of a fixed discount - the code only works for events in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. USD']
+  },
+  
+  // How often the code can be used in total (null = no limit)
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  
+  // How often the code was used - only changed through redeem/release so it stays consistent
+  // A use stays counted when a confirmed registration is cancelled (see Registration.changeStatus)
+  uses: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // After this time the code no longer works (null = never expires)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Events the code works for (empty = every event, only admins can create such codes)
+  eventIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  
+  // Ticket types the code works for (empty = every paid ticket type)
+  ticketTypeIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  
+  // Switched off codes no longer work, but stay for the registrations that used them
+  active: {
+    type: Boolean,
+    default: true
+  },
+  
+  // The organizer (or admin) who created the code
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  // Automatically add createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Pre-validate middleware - a percentage can not be more than 100
+promoCodeSchema.pre('validate', function(next) {
+  if (this.kind === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount can not be more than 100');
+  }
+  next();
+});
+
+// Instance method - the discount in cents for a ticket price in cents
+// Never more than the price, so a ticket can not cost less than nothing
+promoCodeSchema.methods.discountFor = function(price) {
+  if (this.kind === 'percentage') {
+    return Math.round((price * this.value) / 100);
+  }
+  return Math.min(this.value, price);
+};
+
+// Filter for codes that can be used for a ticket right now
+// ticket - { eventId, ticketTypeId, currency } of the chosen ticket
+const usableFilter = (code, { eventId, ticketTypeId, currency }) => ({
+  code: String(code).trim().toUpperCase(),
+  active: true,
+  $and: [
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $or: [{ eventIds: { $size: 0 } }, { eventIds: eventId }] },
+    { $or: [{ ticketTypeIds: { $size: 0 } }, { ticketTypeIds: ticketTypeId }] },
+    { $or: [{ kind: 'percentage' }, { currency }] },
+    { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+  ]
+});
+
+// Check if a code can be used for a ticket, without using it
+// Returns { promoCode } if it can be used, or { status, error } explaining why not
+promoCodeSchema.statics.check = async function(code, ticket) {
+  if (typeof code !== 'string' || !code.trim()) {
+    return { status: 400, error: 'Promo code is required' };
+  }
+  
+  const promoCode = await this.findOne({ code: code.trim().toUpperCase() });
+  
+  if (!promoCode || !promoCode.active) {
+    return { status: 404, error: 'Unknown promo code' };
+  }
+  if (promoCode.expiresAt && promoCode.expiresAt <= new Date()) {
+    return { status: 400, error: 'This promo code has expired' };
+  }
+  if (promoCode.eventIds.length > 0 && !promoCode.eventIds.some((id) => id.equals(ticket.eventId))) {
+    return { status: 400, error: 'This promo code is not valid for this event' };
+  }
+  if (promoCode.ticketTypeIds.length > 0 && !promoCode.ticketTypeIds.some((id) => id.equals(ticket.ticketTypeId))) {
+    return { status: 400, error: 'This promo code is not valid for this ticket' };
+  }
+  if (promoCode.kind === 'fixed' && promoCode.currency !== ticket.currency) {
+    return { status: 400, error: `This promo code only works for prices in ${promoCode.currency}` };
+  }
+  if (promoCode.maxUses !== null && promoCode.uses >= promoCode.maxUses) {
+    return { status: 409, error: 'This promo code has been used up' };
+  }
+  return { promoCode };
+};
+
+// Use a code for a ticket
+// The checks and the usage count happen in a single atomic update, so a code with one use left
+// can never be redeemed twice - even by two requests at the same time
+// Returns { promoCode } with the updated code, or { status, error } explaining why it can not be used
+promoCodeSchema.statics.redeem = async function(code, ticket) {
+  if (typeof code === 'string' && code.trim()) {
+    const promoCode = await this.findOneAndUpdate(
+      usableFilter(code, ticket),
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (promoCode) {
+      return { promoCode };
+    }
+  }
+  
+  // Not redeemed - find out why
+  const rejection = await this.check(code, ticket);
+  if (rejection.promoCode) {
+    // It looked fine a moment ago - the last use was taken by someone else in the meantime
+    return { status: 409, error: 'This promo code has been used up' };
+  }
+  return rejection;
+};
+
+// Give one use of a code back (e.g. when an unpaid checkout that used it is cancelled, or its event is)
+promoCodeSchema.statics.release = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    { _id: promoCodeId, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } },
+    { new: true }
+  );
+};
+
+// Create and export the PromoCode model
+// This model will be used to interact with the 'promocodes' collection in MongoDB
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
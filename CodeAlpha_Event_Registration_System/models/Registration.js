@@ -2,6 +2,207 @@
 // Registration connects Users and Events (a user registers for an event)
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const PromoCode = require('./PromoCode');
+
+// Create a new random ticket code - long enough that nobody can guess one
+const generateTicketCode = () => crypto.randomBytes(16).toString('hex');
+
+// Which status changes are allowed (from -> list of possible new statuses)
+// Registrations are never deleted (except together with the user's account, see DELETE /users/:id) -
+// every change is a status change recorded in statusHistory
+const STATUS_TRANSITIONS = {
+  pending: ['cancelled'],      // Only confirmed by the payment or the organizer's approval (see confirmPayment and approve)
+  confirmed: ['cancelled', 'attended', 'no-show'],
+  waitlisted: ['cancelled'],
+  cancelled: [],              // Registering again re-activates a cancelled registration (see registerUser)
+  attended: ['no-show'],      // Corrections after the event
+  'no-show': ['attended']
+};
+
+// How long a paid ticket's seat is held while the user pays, in minutes
+const CHECKOUT_MINUTES = Number(process.env.CHECKOUT_MINUTES) || 15;
+
+// The same for registrations approved by the organizer - longer, because the attendee
+// only learns about the approval from an email (default 48 hours)
+const APPROVED_CHECKOUT_MINUTES = Number(process.env.APPROVED_CHECKOUT_MINUTES) || 48 * 60;
+
+// Structure of one entry in the status history
+const statusChangeSchema = new mongoose.Schema({
+  // Old status (null for the first entry, when the registration was created)
+  from: {
+    type: String,
+    default: null
+  },
+  
+  // New status
+  to: {
+    type: String,
+    required: true
+  },
+  
+  // When the status changed
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Who changed it (null for automatic changes, e.g. a promotion from the waitlist)
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  // Why it changed, e.g. 'Cancelled by attendee' or 'Event cancelled'
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Structure of the payment of a paid ticket (see payments/index.js)
+const paymentSchema = new mongoose.Schema({
+  // Payment provider that handles the payment, e.g. 'fake'
+  provider: {
+    type: String,
+    default: null
+  },
+  
+  // ID of the payment at the provider (set once the checkout was started)
+  paymentId: {
+    type: String,
+    default: null
+  },
+  
+  // Amount in the smallest unit of the currency (cents), copied from the ticket type
+  // The price may change later - this is what the attendee actually pays (after the discount)
+  amount: {
+    type: Number,
+    required: true
+  },
+  
+  // Discount from a promo code, in cents (already taken off the amount)
+  discount: {
+    type: Number,
+    default: 0
+  },
+  
+  currency: {
+    type: String,
+    required: true
+  },
+  
+  // 'pending' - waiting for the payment
+  // 'paid' - the money was received
+  // 'cancelled' - the checkout was abandoned or expired, nothing was paid
+  // 'refunding' - the refund was started (so two requests can never refund twice)
+  // 'refunded' - the money was paid back after a cancellation
+  // 'refund-failed' - paying back did not work, an admin has to look at it
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'cancelled', 'refunding', 'refunded', 'refund-failed'],
+    default: 'pending'
+  },
+  
+  // The seat is only held until this time - unpaid registrations are cancelled afterwards
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  
+  // ID of the refund at the provider, and when it was made
+  refundId: {
+    type: String,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Why the last payment or refund attempt failed, e.g. 'Card declined'
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Structure of one entry in the transfer history (see transfer below)
+const transferSchema = new mongoose.Schema({
+  // The user who held the registration before, and the user who got it
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Who made the transfer (the attendee, the organizer or an admin)
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Why it was transferred, e.g. 'Can not make it - my colleague goes instead'
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Structure of the organizer's decision on a registration for an event that requires approval
+const approvalSchema = new mongoose.Schema({
+  // 'pending' - waiting for the organizer
+  // 'approved' - the registration went ahead (confirmed, waitlisted or waiting for the payment)
+  // 'rejected' - the registration was cancelled by the organizer
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  
+  // The organizer (or admin) who decided, and when
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: {
+    type: Date,
+    default: null
+  },
+  
+  // Optional message to the attendee, e.g. why the registration was rejected
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+  
+  // Why the promo code could not be used when it was approved, e.g. 'This promo code has expired'
+  // The registration was then approved at full price (see approve)
+  promoCodeError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
 
 // Define the structure of a Registration document
 const registrationSchema = new mongoose.Schema({
@@ -25,11 +226,1270 @@ const registrationSchema = new mongoose.Schema({
   registeredAt: {
     type: Date,
     default: Date.now  // Automatically set to current date/time
+  },
+  
+  // Registration status
+  // 'pending' - the user holds a seat with a paid ticket, but has not paid yet,
+  //   or the event requires approval and the organizer has not decided yet (see approval)
+  // 'confirmed' - the user has a seat at the event
+  // 'waitlisted' - the event was full, the user is waiting for a free seat
+  // 'cancelled' - the registration (or the whole event) was cancelled
+  // 'attended' - the user came to the event (checked in)
+  // 'no-show' - the user had a seat but did not come
+  // Always change it with changeStatus (or the other statics below), so the history stays complete
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'confirmed'
+  },
+  
+  // Every status change, oldest first - entries are only ever added, never changed or removed
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  
+  // The ticket type the user chose (null for events without ticket types)
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
+  // Payment of a paid ticket (null for free registrations)
+  payment: {
+    type: paymentSchema,
+    default: null
+  },
+  
+  // The organizer's decision for events that require approval (null for other events)
+  // While it is 'pending', the registration holds no seat, ticket or promo code yet
+  approval: {
+    type: approvalSchema,
+    default: null
+  },
+  
+  // The promo code used for the ticket (see models/PromoCode.js) - the ID and the code as it was typed in
+  // A registration waiting for approval only has the code - it is used once the registration is approved
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    default: null
+  },
+  promoCode: {
+    type: String,
+    default: null
+  },
+  
+  // Sessions of a multi-session event the attendee chose (see chooseSessions)
+  sessionIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  
+  // Answers to the event's registration questions, e.g. { diet: 'Vegan', shirtSize: 'M' }
+  // Checked against the questions in POST /register (see utils/registrationForm.js)
+  answers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // Secret ticket code, shown to the attendee as a QR code and scanned at the door
+  // Not returned by default, so it does not leak through attendee lists
+  ticketCode: {
+    type: String,
+    unique: true,
+    sparse: true,    // Registrations made before tickets existed get a code later
+    select: false,
+    default: generateTicketCode
+  },
+  
+  // When the attendee was checked in at the door, and by whom
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  // Every time the registration was handed to another user, oldest first
+  transfers: {
+    type: [transferSchema],
+    default: []
   }
 }, {
   timestamps: true
 });
 
+// A user can only register once for the same event
+// The unique index makes MongoDB reject duplicates even when two requests arrive at the same time
+registrationSchema.index({ userId: 1, eventId: 1 }, { unique: true });
+
+// Promote the oldest waitlisted registration of an event to 'confirmed'
+// Called whenever a confirmed seat is freed up
+// Returns the promoted registration, or null if nobody was waiting
+registrationSchema.statics.promoteFromWaitlist = async function(eventId) {
+  const Event = mongoose.model('Event');
+  
+  // Only promote if we can actually take a free seat
+  const event = await Event.claimSeat(eventId);
+  if (!event) return null;
+  
+  // First come, first served - the earliest registration gets the seat
+  const promoted = await this.findOneAndUpdate(
+    { eventId, status: 'waitlisted' },
+    { 
+      $set: { status: 'confirmed' },
+      $push: { statusHistory: { from: 'waitlisted', to: 'confirmed', reason: 'Promoted from the waitlist' } }
+    },
+    { sort: { registeredAt: 1 }, new: true }
+  );
+  
+  // Nobody was waiting - give the seat back
+  if (!promoted) {
+    await Event.releaseSeat(eventId);
+  }
+  
+  return promoted;
+};
+
+// Keep promoting waitlisted registrations until the event is full or the waitlist is empty
+// Used after the capacity of an event was raised
+// Returns the list of promoted registrations
+registrationSchema.statics.fillFreeSeats = async function(eventId) {
+  const promotedRegistrations = [];
+  let promoted = await this.promoteFromWaitlist(eventId);
+  while (promoted) {
+    promotedRegistrations.push(promoted);
+    promoted = await this.promoteFromWaitlist(eventId);
+  }
+  return promotedRegistrations;
+};
+
+// Does the registration hold a seat (or its place on the waitlist), ticket and promo code?
+// Registrations waiting for approval hold nothing yet
+const holdsPlace = (registration) => !(registration.approval && registration.approval.status === 'pending');
+
+// Give back what a cancelled registration held besides its seat:
+// the ticket can be sold again, the promo code used again, and the chosen sessions have a free seat again
+// (the sessions stay on the cancelled registration, for the history)
+// promoUse - false keeps the promo code use counted (see changeStatus)
+const releaseHeld = async (registration, { promoUse = true } = {}) => {
+  const Event = mongoose.model('Event');
+  
+  if (registration.ticketTypeId) {
+    await Event.releaseTickets(registration.eventId, registration.ticketTypeId);
+  }
+  if (registration.promoCodeId && promoUse) {
+    await PromoCode.release(registration.promoCodeId);
+  }
+  for (const sessionId of registration.sessionIds) {
+    await Event.releaseSessionSeat(registration.eventId, sessionId);
+  }
+};
+
+// Take what a registration needs at an event: a ticket of the chosen type, the promo code and a seat
+// Takes a seat if one is free, otherwise the registration goes on the waitlist
+// The seat is claimed with a single atomic update on the event, so concurrent requests can never oversell it
+// Paid tickets need a free seat (there is no waitlist for them) and stay 'pending' until they are paid
+// checkoutMinutes - how long the seat of a paid ticket is held for the payment
+// Returns { status, fields, release } - fields are set on the registration, release() gives everything back
+// Throws an error with a `status` if the ticket type or the event is sold out, or the promo code can not be used
+const claimPlace = async (eventId, ticketType, promoCode, checkoutMinutes = CHECKOUT_MINUTES) => {
+  const Event = mongoose.model('Event');
+  const currency = ticketType ? ticketType.ownerDocument().currency : null;
+  
+  // Take one ticket of the chosen type
+  if (ticketType && !(await Event.claimTickets(eventId, ticketType._id))) {
+    const error = new Error(`${ticketType.name} tickets are sold out`);
+    error.status = 409;
+    throw error;
+  }
+  
+  // Use the promo code - only for paid tickets
+  let redeemed = null;
+  if (promoCode) {
+    const result = ticketType && ticketType.price > 0
+      ? await PromoCode.redeem(promoCode, { eventId, ticketTypeId: ticketType._id, currency })
+      : { status: 400, error: 'Promo codes can only be used for paid tickets' };
+    
+    if (!result.promoCode) {
+      if (ticketType) {
+        await Event.releaseTickets(eventId, ticketType._id);
+      }
+      const error = new Error(result.error);
+      error.status = result.status;
+      error.promoCode = true;  // Without the promo code the place could still be claimed
+      throw error;
+    }
+    redeemed = result.promoCode;
+  }
+  
+  const discount = redeemed ? redeemed.discountFor(ticketType.price) : 0;
+  const paid = !!ticketType && ticketType.price - discount > 0;
+  
+  const seatClaimed = await Event.claimSeat(eventId);
+  
+  // Give the seat, the ticket and the promo code back
+  const release = async () => {
+    if (seatClaimed) {
+      await Event.releaseSeat(eventId);
+    }
+    if (ticketType) {
+      await Event.releaseTickets(eventId, ticketType._id);
+    }
+    if (redeemed) {
+      await PromoCode.release(redeemed._id);
+    }
+  };
+  
+  // Paid tickets are not waitlisted - nobody should pay for a seat they may never get
+  if (paid && !seatClaimed) {
+    await release();
+    const error = new Error('This event is sold out');
+    error.status = 409;
+    throw error;
+  }
+  
+  let status = seatClaimed ? 'confirmed' : 'waitlisted';
+  let payment = null;
+  if (paid) {
+    status = 'pending';
+    payment = { 
+      amount: ticketType.price - discount, 
+      discount,
+      currency,
+      expiresAt: new Date(Date.now() + checkoutMinutes * 60 * 1000)
+    };
+  }
+  
+  const fields = {
+    ticketTypeId: ticketType ? ticketType._id : null,
+    payment,
+    promoCodeId: redeemed ? redeemed._id : null,
+    promoCode: redeemed ? redeemed.code : null
+  };
+  return { status, fields, release };
+};
+
+// Save a new registration, or re-activate the user's cancelled one so its history continues
+// fields - everything else to set on the registration (answers, ticket, payment, approval, ...)
+// Throws MongoDB's duplicate key error (code 11000) if the user is already registered
+const saveRegistration = async (Registration, { userId, eventId, status, fields, by }) => {
+  // Registering again after cancelling - re-activate the cancelled registration
+  const reactivated = await Registration.findOneAndUpdate(
+    { userId, eventId, status: 'cancelled' },
+    {
+      $set: { 
+        status, 
+        ...fields,
+        registeredAt: new Date(),  // Back of the waitlist queue
+        sessionIds: [],            // Sessions are chosen again
+        ticketCode: generateTicketCode(), 
+        checkedInAt: null, 
+        checkedInBy: null 
+      },
+      $push: { statusHistory: { from: 'cancelled', to: status, by, reason: 'Registered again' } }
+    },
+    { new: true }
+  );
+  if (reactivated) return reactivated;
+  
+  // First registration - the unique index on { userId, eventId } rejects duplicates
+  const registration = new Registration({
+    userId,
+    eventId,
+    ...fields,
+    status,
+    statusHistory: [{ from: null, to: status, by, reason: 'Registered' }]
+  });
+  await registration.save();
+  return registration;
+};
+
+// Register a user for an event
+// The seat, ticket and promo code are claimed with claimPlace (see above)
+// answers - the already checked answers to the event's registration questions
+// by - the user who made the registration (defaults to the registered user)
+// ticketType - the chosen ticket type of the event (null for events without ticket types)
+//   Free tickets work like before. Paid tickets stay 'pending' until the payment is confirmed (see payments/index.js)
+// promoCode - a promo code for the paid ticket (optional), used up atomically (see models/PromoCode.js)
+//   A ticket that costs nothing after the discount is treated like a free ticket
+// A user who cancelled before gets their old registration back, so its history continues
+// Throws MongoDB's duplicate key error (code 11000) if the user is already registered,
+// or an error with a `status` if the ticket type or the event is sold out, or the promo code can not be used
+registrationSchema.statics.registerUser = async function(userId, eventId, answers = {}, by = userId, ticketType = null, promoCode = null) {
+  const { status, fields, release } = await claimPlace(eventId, ticketType, promoCode);
+  
+  try {
+    return await saveRegistration(this, {
+      userId,
+      eventId,
+      status,
+      fields: { ...fields, answers, approval: null },
+      by
+    });
+  } catch (error) {
+    // The registration was never created
+    await release();
+    throw error;
+  }
+};
+
+// Ask to register for an event that requires approval
+// The registration is 'pending' until an organizer approves or rejects it (see approve and reject)
+// Nothing is claimed yet - the seat, ticket and promo code are only taken when it is approved
+// The arguments are the same as for registerUser; the promo code is only checked here
+// Throws MongoDB's duplicate key error (code 11000) if the user is already registered,
+// or an error with a `status` if the promo code can not be used
+registrationSchema.statics.requestApproval = async function(userId, eventId, answers = {}, by = userId, ticketType = null, promoCode = null) {
+  if (promoCode) {
+    const result = ticketType && ticketType.price > 0
+      ? await PromoCode.check(promoCode, { 
+          eventId, 
+          ticketTypeId: ticketType._id, 
+          currency: ticketType.ownerDocument().currency 
+        })
+      : { status: 400, error: 'Promo codes can only be used for paid tickets' };
+    
+    if (!result.promoCode) {
+      const error = new Error(result.error);
+      error.status = result.status;
+      throw error;
+    }
+    promoCode = result.promoCode.code;
+  }
+  
+  return saveRegistration(this, {
+    userId,
+    eventId,
+    status: 'pending',
+    fields: {
+      answers,
+      ticketTypeId: ticketType ? ticketType._id : null,
+      payment: null,
+      promoCodeId: null,
+      promoCode: promoCode || null,
+      approval: { status: 'pending' }
+    },
+    by
+  });
+};
+
+// Approve a registration that is waiting for approval
+// The registration goes ahead like a normal registration: it takes a seat (or goes on the waitlist),
+// its ticket and its promo code - paid tickets stay 'pending' until they are paid
+// If the promo code expired or was used up while the registration was waiting, it is approved at full price
+// and the reason is kept in approval.promoCodeError, so the organizer and the attendee can see it
+// Registrations can be approved after the registration window closed, but not once the event started
+// event - the registration's event
+// message - optional message to the attendee
+// Returns { registration }, or { status, error } if it can not be approved (e.g. the event is sold out)
+registrationSchema.statics.approve = async function(registration, event, { by = null, message = null } = {}) {
+  if (registration.status !== 'pending' || holdsPlace(registration)) {
+    return { status: 400, error: 'This registration is not waiting for approval' };
+  }
+  
+  const registrationState = event.getRegistrationState();
+  if (['cancelled', 'started'].includes(registrationState.status)) {
+    return { status: 400, error: registrationState.reason };
+  }
+  
+  const ticketType = registration.ticketTypeId ? event.getTicketType(registration.ticketTypeId) : null;
+  if (registration.ticketTypeId && !ticketType) {
+    return { status: 409, error: 'The chosen ticket type no longer exists' };
+  }
+  
+  let claimed;
+  let promoCodeError = null;
+  try {
+    claimed = await claimPlace(registration.eventId, ticketType, registration.promoCode, APPROVED_CHECKOUT_MINUTES);
+  } catch (error) {
+    if (!error.status) throw error;
+    if (!error.promoCode) {
+      return { status: error.status, error: error.message };
+    }
+    promoCodeError = error.message;
+  }
+  
+  // The promo code can no longer be used - try again at full price
+  if (promoCodeError) {
+    try {
+      claimed = await claimPlace(registration.eventId, ticketType, null, APPROVED_CHECKOUT_MINUTES);
+    } catch (error) {
+      if (!error.status) throw error;
+      return { status: error.status, error: error.message };
+    }
+  }
+  const { status, fields, release } = claimed;
+  
+  const reason = promoCodeError 
+    ? `Approved by the organizer at full price (promo code ${registration.promoCode}: ${promoCodeError})` 
+    : 'Approved by the organizer';
+  
+  // Only succeeds while the registration is still waiting, so it can never be approved twice
+  const updated = await this.findOneAndUpdate(
+    { _id: registration._id, status: 'pending', 'approval.status': 'pending' },
+    {
+      $set: {
+        status,
+        payment: fields.payment,
+        promoCodeId: fields.promoCodeId,
+        promoCode: fields.promoCode,
+        registeredAt: new Date(),  // The waitlist is in the order of approval
+        approval: { status: 'approved', by, at: new Date(), message, promoCodeError }
+      },
+      $push: { statusHistory: { from: 'pending', to: status, by, reason } }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    await release();
+    return { status: 409, error: 'The registration was changed at the same time - please reload it and try again' };
+  }
+  return { registration: updated };
+};
+
+// Reject a registration that is waiting for approval - it is cancelled
+// Nothing has to be given back, a waiting registration holds no seat, ticket or promo code
+// message - optional message to the attendee, e.g. why it was rejected
+// Returns { registration }, or { status, error } if it can not be rejected
+registrationSchema.statics.reject = async function(registration, { by = null, message = null } = {}) {
+  if (registration.status !== 'pending' || holdsPlace(registration)) {
+    return { status: 400, error: 'This registration is not waiting for approval' };
+  }
+  
+  const updated = await this.findOneAndUpdate(
+    { _id: registration._id, status: 'pending', 'approval.status': 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        approval: { status: 'rejected', by, at: new Date(), message }
+      },
+      $push: { statusHistory: { from: 'pending', to: 'cancelled', by, reason: 'Rejected by the organizer' } }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    return { status: 409, error: 'The registration was changed at the same time - please reload it and try again' };
+  }
+  return { registration: updated };
+};
+
+// Change the status of a registration and record the change in its history
+// Only the changes in STATUS_TRANSITIONS are allowed
+// The change is a single atomic update that only succeeds if the status is still the one we read,
+// so two requests at the same time can not both cancel the same registration (and free two seats)
+// Cancelling a confirmed (or pending) registration frees its seat and promotes the next person on the waitlist,
+// and cancelling gives the ticket back to its ticket type and the seats back to the chosen sessions
+// (a registration still waiting for approval has none of them)
+// A promo code use counts once the discounted ticket is confirmed, so cancelling a confirmed registration
+// keeps it - otherwise a code with maxUses 1 could be used again and again by cancelling and registering again
+// Only an unpaid checkout or a waitlist place gives the use back
+// Refunds are not issued here - see settleCancelledPayments in payments/index.js
+// Returns { registration, promoted }, or { status, error } if the change is not possible
+registrationSchema.statics.changeStatus = async function(registration, to, { by = null, reason } = {}) {
+  const Event = mongoose.model('Event');
+  const from = registration.status;
+  
+  if (!(to in STATUS_TRANSITIONS)) {
+    return { status: 400, error: `Status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}` };
+  }
+  if (!STATUS_TRANSITIONS[from].includes(to)) {
+    return { status: 400, error: `A ${from} registration can not be changed to ${to}` };
+  }
+  
+  const updated = await this.findOneAndUpdate(
+    { _id: registration._id, status: from },
+    { 
+      $set: { status: to },
+      $push: { statusHistory: { from, to, by, reason } }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    return { status: 409, error: 'The registration was changed at the same time - please reload it and try again' };
+  }
+  
+  if (to !== 'cancelled' || !holdsPlace(updated)) {
+    return { registration: updated, promoted: null };
+  }
+  
+  // A seat was freed - give it to the next person on the waitlist
+  let promoted = null;
+  if (['confirmed', 'pending'].includes(from)) {
+    await Event.releaseSeat(updated.eventId);
+    promoted = await this.promoteFromWaitlist(updated.eventId);
+  }
+  
+  await releaseHeld(updated, { promoUse: from !== 'confirmed' });
+  
+  return { registration: updated, promoted };
+};
+
+// Cancel all active registrations of an event (when the event itself is cancelled)
+// Like changeStatus, every registration gives back its seat, ticket and session seats -
+// but nobody is promoted from the waitlist
+// The promo code uses are always given back here: the attendees did not cancel, the organizer did
+// Returns the number of cancelled registrations
+registrationSchema.statics.cancelAllForEvent = async function(eventId, by, reason = 'Event cancelled') {
+  const Event = mongoose.model('Event');
+  let cancelled = 0;
+  
+  const active = await this.find({ eventId, status: { $in: ['confirmed', 'waitlisted', 'pending'] } });
+  
+  for (const registration of active) {
+    const from = registration.status;
+    
+    // Only cancelled here if nobody changed it in the meantime, so nothing is given back twice
+    const updated = await this.findOneAndUpdate(
+      { _id: registration._id, status: from },
+      { 
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: { from, to: 'cancelled', by, reason, at: new Date() } }
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+    cancelled++;
+    
+    if (!holdsPlace(updated)) continue;
+    if (['confirmed', 'pending'].includes(from)) {
+      await Event.releaseSeat(eventId);
+    }
+    await releaseHeld(updated);
+  }
+  
+  return cancelled;
+};
+
+// Cancel the active registrations of a user for upcoming events (when their account is deleted)
+// Their seats go to the waitlist; the caller deletes the registrations of upcoming events afterwards
+// (registrations of past events stay, so the organizers' attendance history does not change)
+// Returns { promoted, failed, upcomingEventIds }
+//   promoted - the list of registrations that got a freed seat
+//   failed - the errors of registrations that could not be cancelled (e.g. changed at the same time)
+//   upcomingEventIds - the upcoming events the user has registrations for (active or not)
+registrationSchema.statics.cancelAllForUser = async function(userId, by) {
+  const Event = mongoose.model('Event');
+  const promoted = [];
+  const failed = [];
+  
+  // Only upcoming events still need the seat
+  const registrations = await this.find({ userId });
+  const upcomingEvents = await Event.find({ 
+    _id: { $in: registrations.map((registration) => registration.eventId) },
+    date: { $gt: new Date() }
+  }).select('_id');
+  const upcomingIds = new Set(upcomingEvents.map((event) => event._id.toString()));
+  
+  for (const registration of registrations) {
+    if (!upcomingIds.has(registration.eventId.toString())) continue;
+    if (!['confirmed', 'waitlisted', 'pending'].includes(registration.status)) continue;
+    
+    const result = await this.changeStatus(registration, 'cancelled', { by, reason: 'Account deleted' });
+    if (result.error) {
+      failed.push(`${registration._id}: ${result.error}`);
+    }
+    if (result.promoted) {
+      promoted.push(result.promoted);
+    }
+  }
+  
+  return { promoted, failed, upcomingEventIds: upcomingEvents.map((event) => event._id) };
+};
+
+// Mark the payment of a pending registration as received and confirm the registration
+// Only succeeds while the registration is still pending - a checkout that expired or was
+// cancelled in the meantime is not confirmed (the caller refunds the money instead)
+// Returns the confirmed registration, or null
+registrationSchema.statics.confirmPayment = function(registration) {
+  return this.findOneAndUpdate(
+    { _id: registration._id, status: 'pending' },
+    {
+      $set: { status: 'confirmed', 'payment.status': 'paid', 'payment.paidAt': new Date(), 'payment.error': null },
+      $push: { statusHistory: { from: 'pending', to: 'confirmed', by: registration.userId, reason: 'Payment received' } }
+    },
+    { new: true }
+  );
+};
+
+// Register a group of users for an event in a single MongoDB transaction
+// attendees - list of { user } (already looked up) or { name, email } (new users),
+//             each with its checked answers (see routes/registrationRoutes.js)
+// by - the user who registers the group
+// All or nothing: if one attendee is already registered, or there are not enough seats for
+// the whole group, nothing is saved and an error with a `status` and the per-attendee `results` is thrown
+// New users (without an account yet) are created inside the same transaction
+// ticketTypeId - the (free) ticket type everybody in the group gets, null for events without ticket types
+// Note: transactions need MongoDB to run as a replica set (a single-node replica set is enough)
+// Returns the list of created registrations, in the order of the attendees
+registrationSchema.statics.registerGroup = async function(eventId, attendees, by = null, ticketTypeId = null) {
+  const Event = mongoose.model('Event');
+  const User = mongoose.model('User');
+  
+  const session = await mongoose.startSession();
+  try {
+    let registrations = [];
+    
+    // withTransaction retries the whole function on temporary errors (e.g. a write conflict),
+    // so everything inside must be safe to run again
+    await session.withTransaction(async () => {
+      // Create the accounts of new attendees
+      const users = [];
+      for (const attendee of attendees) {
+        if (attendee.user) {
+          users.push(attendee.user);
+        } else {
+          const [user] = await User.create([{
+            name: attendee.name,
+            email: attendee.email
+            // No password yet - the attendee sets one with a password reset (POST /auth/forgot-password)
+          }], { session });
+          users.push(user);
+        }
+      }
+      
+      // Nobody in the group may already be registered (cancelled registrations are re-activated below)
+      const existing = await this.find({ 
+        eventId, 
+        userId: { $in: users.map((user) => user._id) },
+        status: { $ne: 'cancelled' }
+      }).session(session);
+      
+      if (existing.length > 0) {
+        const error = new Error('Some attendees are already registered for this event');
+        error.status = 409;
+        error.results = users.map((user) => ({
+          userId: user._id,
+          email: user.email,
+          status: existing.some((registration) => registration.userId.equals(user._id)) 
+            ? 'already-registered' 
+            : 'not-registered'
+        }));
+        throw error;
+      }
+      
+      // Take the seats for the whole group at once
+      const event = await Event.claimSeats(eventId, users.length, session);
+      if (!event) {
+        const current = await Event.findById(eventId).session(session);
+        const error = new Error(`Not enough free seats for a group of ${users.length}`);
+        error.status = 409;
+        error.seatsLeft = current && current.capacity !== null 
+          ? Math.max(current.capacity - current.seatsTaken, 0) 
+          : null;
+        throw error;
+      }
+      
+      // Take the tickets for the whole group at once
+      if (ticketTypeId && !(await Event.claimTickets(eventId, ticketTypeId, users.length, session))) {
+        const error = new Error(`Not enough tickets left for a group of ${users.length}`);
+        error.status = 409;
+        throw error;
+      }
+      
+      // Save all registrations - the unique index still protects against a duplicate
+      // registered by someone else at the same time (the transaction is then rolled back)
+      registrations = [];
+      for (const [index, user] of users.entries()) {
+        const answers = attendees[index].answers;
+        
+        // Attendees who cancelled before get their old registration back
+        let registration = await this.findOneAndUpdate(
+          { userId: user._id, eventId, status: 'cancelled' },
+          {
+            $set: { 
+              status: 'confirmed', 
+              answers, 
+              ticketTypeId,
+              payment: null,
+              promoCodeId: null,
+              promoCode: null,
+              approval: null,
+              sessionIds: [],
+              registeredAt: new Date(), 
+              ticketCode: generateTicketCode(), 
+              checkedInAt: null, 
+              checkedInBy: null 
+            },
+            $push: { statusHistory: { from: 'cancelled', to: 'confirmed', by, reason: 'Registered again (group)' } }
+          },
+          { new: true, session }
+        );
+        
+        if (!registration) {
+          [registration] = await this.create([{
+            userId: user._id,
+            eventId,
+            answers,
+            ticketTypeId,
+            status: 'confirmed',
+            statusHistory: [{ from: null, to: 'confirmed', by, reason: 'Registered (group)' }]
+          }], { session });
+        }
+        
+        // Fill in the user, so the caller can email them
+        registration.userId = user;
+        registrations.push(registration);
+      }
+    });
+    
+    return registrations;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Choose the sessions of a multi-session event - replaces the earlier choice
+// Only confirmed attendees can choose, and the chosen sessions can not overlap in time
+// A seat is claimed atomically in every newly chosen session, and given back in every dropped one
+// event - the registration's event
+// sessionIds - the IDs of all sessions the attendee wants to go to (an empty list drops them all)
+// Returns { registration }, or { status, error } (with the `conflicts` when sessions overlap)
+registrationSchema.statics.chooseSessions = async function(registration, event, sessionIds) {
+  const Event = mongoose.model('Event');
+  
+  if (registration.status !== 'confirmed') {
+    return { status: 400, error: 'Only confirmed registrations can choose sessions' };
+  }
+  
+  // Every session must belong to the event
+  const ids = [...new Set(sessionIds.map(String))];
+  const chosen = [];
+  for (const id of ids) {
+    const session = event.getSession(id);
+    if (!session) {
+      return { status: 400, error: `Unknown session: ${id}` };
+    }
+    chosen.push(session);
+  }
+  
+  // Nobody can be in two places at once
+  chosen.sort((a, b) => a.startsAt - b.startsAt);
+  const conflicts = [];
+  chosen.forEach((session, index) => {
+    chosen.slice(index + 1)
+      .filter((other) => other.startsAt < session.endsAt)
+      .forEach((other) => conflicts.push([session.title, other.title]));
+  });
+  if (conflicts.length > 0) {
+    return { 
+      status: 400, 
+      error: 'Some of the chosen sessions take place at the same time',
+      conflicts: conflicts.map(([first, second]) => `${first} and ${second}`)
+    };
+  }
+  
+  const previous = registration.sessionIds.map(String);
+  const added = chosen.filter((session) => !previous.includes(String(session._id)));
+  const dropped = previous.filter((id) => !ids.includes(id));
+  
+  // Take a seat in every new session - all or nothing
+  const claimed = [];
+  const releaseClaimed = async () => {
+    for (const session of claimed) {
+      await Event.releaseSessionSeat(event._id, session._id);
+    }
+  };
+  for (const session of added) {
+    if (!(await Event.claimSessionSeat(event._id, session._id))) {
+      await releaseClaimed();
+      return { status: 409, error: `${session.title} is full` };
+    }
+    claimed.push(session);
+  }
+  
+  // Only succeeds if nobody changed the choice (or cancelled) in the meantime
+  const updated = await this.findOneAndUpdate(
+    { _id: registration._id, status: 'confirmed', sessionIds: registration.sessionIds },
+    { $set: { sessionIds: chosen.map((session) => session._id) } },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseClaimed();
+    return { status: 409, error: 'The registration was changed at the same time - please reload it and try again' };
+  }
+  
+  // Free the seats of the sessions that were dropped
+  for (const id of dropped) {
+    await Event.releaseSessionSeat(event._id, id);
+  }
+  
+  return { registration: updated };
+};
+
+// Statuses of registrations that can be handed to another user
+const TRANSFERABLE_STATUSES = ['confirmed', 'waitlisted'];
+
+// Hand a registration to another user - e.g. a colleague goes instead of the attendee
+// The registration keeps its seat (or its place on the waitlist), ticket type, payment, promo code
+// and chosen sessions, so nothing is freed or claimed. It gets a new ticket code - the old one no longer works at the door
+// attendee - { user } for an existing user, or { name, email } for a new user (created in the same transaction)
+// answers - the new attendee's already checked answers to the event's registration questions
+// by - who makes the transfer, reason - optional
+// If the new attendee cancelled a registration for the event before, the transfer goes into that registration
+// (a user can only have one registration per event) and the old one is cancelled without giving its seat back
+// Every transfer is recorded in `transfers` of the registration (of both registrations if a cancelled one is re-activated)
+// Note: transactions need MongoDB to run as a replica set (a single-node replica set is enough)
+// Returns the registration now held by the new attendee (with userId filled in)
+// Throws an error with a `status` if it can not be transferred
+registrationSchema.statics.transfer = async function(registration, attendee, { answers = {}, by = null, reason } = {}) {
+  const User = mongoose.model('User');
+  
+  const session = await mongoose.startSession();
+  try {
+    let transferred = null;
+    
+    // withTransaction retries the whole function on temporary errors (e.g. a write conflict),
+    // so everything inside must be safe to run again
+    await session.withTransaction(async () => {
+      // The registration must still be the one we checked
+      const current = await this.findOne({ 
+        _id: registration._id, 
+        userId: registration.userId, 
+        status: { $in: TRANSFERABLE_STATUSES } 
+      }).session(session);
+      if (!current) {
+        const error = new Error('The registration was changed at the same time - please reload it and try again');
+        error.status = 409;
+        throw error;
+      }
+      
+      // Create the account of a new attendee
+      let user = attendee.user;
+      if (!user) {
+        [user] = await User.create([{
+          name: attendee.name,
+          email: attendee.email
+          // No password yet - the attendee sets one with a password reset (POST /auth/forgot-password)
+        }], { session });
+      }
+      
+      if (user._id.equals(current.userId)) {
+        const error = new Error('The registration already belongs to this user');
+        error.status = 400;
+        throw error;
+      }
+      
+      const record = { from: current.userId, to: user._id, by, at: new Date(), reason };
+      const fresh = { answers, ticketCode: generateTicketCode(), checkedInAt: null, checkedInBy: null };
+      
+      const existing = await this.findOne({ userId: user._id, eventId: current.eventId }).session(session);
+      if (existing && existing.status !== 'cancelled') {
+        const error = new Error(`${user.name} is already registered for this event`);
+        error.status = 409;
+        throw error;
+      }
+      
+      if (!existing) {
+        // Move the registration itself to the new attendee
+        transferred = await this.findOneAndUpdate(
+          { _id: current._id },
+          { 
+            $set: { userId: user._id, ...fresh },
+            $push: { transfers: record }
+          },
+          { new: true, session }
+        );
+      } else {
+        // Re-activate the new attendee's cancelled registration with everything the old one held
+        transferred = await this.findOneAndUpdate(
+          { _id: existing._id },
+          {
+            $set: {
+              status: current.status,
+              ticketTypeId: current.ticketTypeId,
+              payment: current.payment,
+              promoCodeId: current.promoCodeId,
+              promoCode: current.promoCode,
+              approval: current.approval,
+              sessionIds: current.sessionIds,
+              registeredAt: current.registeredAt,  // Keeps the place on the waitlist
+              ...fresh
+            },
+            // Both registrations keep their own transfer history - each gets this transfer added to it
+            $push: { 
+              statusHistory: { from: 'cancelled', to: current.status, by, reason: 'Transferred from another attendee' },
+              transfers: record
+            }
+          },
+          { new: true, session }
+        );
+        
+        // The old registration is cancelled - its seat, ticket and payment now belong to the new one
+        await this.updateOne(
+          { _id: current._id },
+          {
+            $set: { 
+              status: 'cancelled', 
+              payment: null, 
+              ticketTypeId: null, 
+              promoCodeId: null, 
+              promoCode: null, 
+              sessionIds: [],
+              ticketCode: generateTicketCode() 
+            },
+            $push: { 
+              statusHistory: { from: current.status, to: 'cancelled', by, reason: 'Transferred to another attendee' },
+              transfers: record
+            }
+          },
+          { session }
+        );
+      }
+      
+      // Fill in the user, so the caller can email them
+      transferred.userId = user;
+    });
+    
+    return transferred;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Get the ticket code of a registration, creating one for old registrations that have none
+registrationSchema.statics.getTicketCode = async function(registrationId) {
+  // Only sets a code if there is none yet, so two requests at the same time agree on the code
+  await this.updateOne(
+    { _id: registrationId, ticketCode: { $exists: false } },
+    { ticketCode: generateTicketCode() }
+  );
+  
+  const registration = await this.findById(registrationId).select('+ticketCode');
+  return registration ? registration.ticketCode : null;
+};
+
+// Check in the attendee holding a ticket at an event
+// The check-in is a single atomic update, so a ticket can only be used once - even if it is
+// scanned at two doors at the same time
+// Returns { registration } on success, or { error, status } explaining why the ticket was rejected
+registrationSchema.statics.checkIn = async function(eventId, ticketCode, checkedInBy) {
+  if (typeof ticketCode !== 'string' || !ticketCode.trim()) {
+    return { status: 400, error: 'Ticket code is required' };
+  }
+  
+  // Checking in also marks the attendee as 'attended'
+  const registration = await this.findOneAndUpdate(
+    { ticketCode: ticketCode.trim(), eventId, status: 'confirmed', checkedInAt: null },
+    { 
+      $set: { checkedInAt: new Date(), checkedInBy, status: 'attended' },
+      $push: { statusHistory: { from: 'confirmed', to: 'attended', by: checkedInBy, reason: 'Checked in' } }
+    },
+    { new: true }
+  ).populate('userId', 'name email');
+  
+  if (registration) {
+    return { registration };
+  }
+  
+  // The ticket was rejected - find out why, so the staff at the door can tell the attendee
+  const ticket = await this.findOne({ ticketCode: ticketCode.trim() });
+  
+  if (!ticket) {
+    return { status: 404, error: 'Unknown ticket' };
+  }
+  if (!ticket.eventId.equals(eventId)) {
+    return { status: 400, error: 'This ticket is for a different event' };
+  }
+  if (ticket.checkedInAt) {
+    return { 
+      status: 409, 
+      error: 'This ticket has already been used',
+      checkedInAt: ticket.checkedInAt
+    };
+  }
+  return { status: 400, error: `This registration is ${ticket.status}, not confirmed` };
+};
+
+// Ways to group registrations over time, as $dateToString formats
+// Weeks are ISO weeks, e.g. '2025-W07'
+const TIME_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Count expression for an aggregation $group - counts documents with this status
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+// Round a rate to 4 decimal places (null if there is nothing to divide by)
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// Add the cancellation and check-in rates to a set of counts
+// Cancellation rate - cancelled registrations out of all registrations
+// Check-in rate - checked in attendees out of everybody who had a seat (confirmed, attended, no-show)
+const addRates = (counts) => {
+  const seated = counts.confirmed + counts.attended + counts.noShow;
+  return {
+    ...counts,
+    cancellationRate: rate(counts.cancelled, counts.total),
+    checkInRate: rate(counts.checkedIn, seated)
+  };
+};
+
+// Statistics of one event, computed with a single aggregation pipeline
+// interval - 'day', 'week' or 'month' for the registrations over time
+// Returns counts per status, the rates, registrations and cancellations over time,
+// a breakdown of the answers to every registration question, and the attendance per session
+registrationSchema.statics.getEventStats = async function(event, interval = 'day') {
+  const format = TIME_INTERVALS[interval];
+  const timezone = event.timezone || 'UTC';
+  const questions = event.registrationQuestions || [];
+  
+  // Only answers of active registrations count for the breakdown
+  const active = { status: { $ne: 'cancelled' } };
+  
+  // One sub-pipeline per registration question, depending on its type
+  const questionFacets = {};
+  questions.forEach((question, index) => {
+    const field = `$answers.${question.key}`;
+    const answered = { ...active, [`answers.${question.key}`]: { $exists: true } };
+    
+    if (question.type === 'number') {
+      questionFacets[`question${index}`] = [
+        { $match: answered },
+        { $group: { _id: null, answered: { $sum: 1 }, average: { $avg: field }, min: { $min: field }, max: { $max: field } } }
+      ];
+    } else if (['select', 'multiselect', 'checkbox'].includes(question.type)) {
+      questionFacets[`question${index}`] = [
+        { $match: answered },
+        // A multiselect answer is a list - count every chosen option
+        ...(question.type === 'multiselect' ? [{ $unwind: field }] : []),
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ];
+    } else {
+      // Free text can not be grouped - only count how many people answered
+      questionFacets[`question${index}`] = [
+        { $match: answered },
+        { $count: 'answered' }
+      ];
+    }
+  });
+  
+  const [result] = await this.aggregate([
+    { $match: { eventId: event._id } },
+    { $facet: {
+      // Number of registrations per status
+      counts: [
+        { $group: {
+          _id: null,
+          total: { $sum: 1 },
+          confirmed: countStatus('confirmed'),
+          pending: countStatus('pending'),
+          waitlisted: countStatus('waitlisted'),
+          cancelled: countStatus('cancelled'),
+          attended: countStatus('attended'),
+          noShow: countStatus('no-show'),
+          checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } }
+        } }
+      ],
+      
+      // New registrations per day/week/month (by the time the registration was first made)
+      registrationsOverTime: [
+        { $group: { 
+          _id: { $dateToString: { format, date: '$createdAt', timezone } }, 
+          count: { $sum: 1 } 
+        } },
+        { $sort: { _id: 1 } }
+      ],
+      
+      // Cancellations per day/week/month, taken from the status history
+      cancellationsOverTime: [
+        { $unwind: '$statusHistory' },
+        { $match: { 'statusHistory.to': 'cancelled' } },
+        { $group: { 
+          _id: { $dateToString: { format, date: '$statusHistory.at', timezone } }, 
+          count: { $sum: 1 } 
+        } },
+        { $sort: { _id: 1 } }
+      ],
+      
+      // Attendees per session of a multi-session event - everybody who had a seat and chose it
+      sessions: [
+        { $match: { status: { $in: ['confirmed', 'attended', 'no-show'] } } },
+        { $unwind: '$sessionIds' },
+        { $group: {
+          _id: '$sessionIds',
+          chosen: { $sum: 1 },
+          attended: countStatus('attended'),
+          noShow: countStatus('no-show')
+        } }
+      ],
+      
+      ...questionFacets
+    } }
+  ]);
+  
+  const counts = result.counts[0] || { 
+    total: 0, confirmed: 0, pending: 0, waitlisted: 0, cancelled: 0, attended: 0, noShow: 0, checkedIn: 0 
+  };
+  delete counts._id;
+  
+  // Put registrations and cancellations of the same period next to each other
+  const periods = new Map();
+  result.registrationsOverTime.forEach(({ _id, count }) => {
+    periods.set(_id, { period: _id, registrations: count, cancellations: 0 });
+  });
+  result.cancellationsOverTime.forEach(({ _id, count }) => {
+    const entry = periods.get(_id) || { period: _id, registrations: 0, cancellations: 0 };
+    entry.cancellations = count;
+    periods.set(_id, entry);
+  });
+  
+  // Answer breakdown per question
+  const answers = questions.map((question, index) => {
+    const rows = result[`question${index}`];
+    const breakdown = { key: question.key, label: question.label, type: question.type };
+    
+    if (question.type === 'number') {
+      const { answered = 0, average = null, min = null, max = null } = rows[0] || {};
+      return { ...breakdown, answered, average, min, max };
+    }
+    if (['select', 'multiselect', 'checkbox'].includes(question.type)) {
+      return { 
+        ...breakdown, 
+        options: rows.map((row) => ({ value: row._id, count: row.count })) 
+      };
+    }
+    return { ...breakdown, answered: rows[0] ? rows[0].answered : 0 };
+  });
+  
+  // Attendance per session, in the order of the agenda
+  // "attended" counts the attendees who chose the session and checked in at the event
+  const sessionRows = new Map(result.sessions.map((row) => [String(row._id), row]));
+  const sessions = (event.sessions || []).map((session) => {
+    const { chosen = 0, attended = 0, noShow = 0 } = sessionRows.get(String(session._id)) || {};
+    return {
+      sessionId: session._id,
+      title: session.title,
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      room: session.room,
+      capacity: session.capacity,
+      chosen,
+      attended,
+      noShow,
+      attendanceRate: rate(attended, chosen)
+    };
+  });
+  
+  return {
+    ...addRates(counts),
+    waitlistLength: counts.waitlisted,
+    interval,
+    overTime: [...periods.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    answers,
+    sessions
+  };
+};
+
+// Summary over all events (for admins), computed with a single aggregation pipeline
+// It starts from the events, so events without any registrations are listed too (with all counts 0)
+// from/to - only events taking place between these dates
+// limit - how many events to list (the totals always cover all matching events)
+registrationSchema.statics.getSummary = async function({ from, to, limit = 50 } = {}) {
+  const Event = mongoose.model('Event');
+  
+  const eventDate = {};
+  if (from) eventDate.$gte = from;
+  if (to) eventDate.$lte = to;
+  
+  // One count of an event - 0 if nobody registered
+  const countOf = (field) => ({ $ifNull: [{ $arrayElemAt: [`$counts.${field}`, 0] }, 0] });
+  
+  const [result] = await Event.aggregate([
+    // The events taking place between the dates
+    ...(from || to ? [{ $match: { date: eventDate } }] : []),
+    
+    // Count the registrations of every event (an empty list if it has none)
+    { $lookup: {
+      from: this.collection.name,
+      let: { eventId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$eventId', '$$eventId'] } } },
+        { $group: {
+          _id: null,
+          total: { $sum: 1 },
+          confirmed: countStatus('confirmed'),
+          pending: countStatus('pending'),
+          waitlisted: countStatus('waitlisted'),
+          cancelled: countStatus('cancelled'),
+          attended: countStatus('attended'),
+          noShow: countStatus('no-show'),
+          checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } }
+        } }
+      ],
+      as: 'counts'
+    } },
+    
+    // The event details and its counts
+    { $project: {
+      _id: 0,
+      eventId: '$_id',
+      title: 1,
+      date: 1,
+      eventStatus: '$status',
+      capacity: 1,
+      total: countOf('total'),
+      confirmed: countOf('confirmed'),
+      pending: countOf('pending'),
+      waitlisted: countOf('waitlisted'),
+      cancelled: countOf('cancelled'),
+      attended: countOf('attended'),
+      noShow: countOf('noShow'),
+      checkedIn: countOf('checkedIn')
+    } },
+    
+    { $facet: {
+      // The events, most recent first
+      events: [
+        { $sort: { date: -1 } },
+        { $limit: limit }
+      ],
+      
+      // Totals over all matching events
+      totals: [
+        { $group: {
+          _id: null,
+          events: { $sum: 1 },
+          total: { $sum: '$total' },
+          confirmed: { $sum: '$confirmed' },
+          pending: { $sum: '$pending' },
+          waitlisted: { $sum: '$waitlisted' },
+          cancelled: { $sum: '$cancelled' },
+          attended: { $sum: '$attended' },
+          noShow: { $sum: '$noShow' },
+          checkedIn: { $sum: '$checkedIn' }
+        } },
+        { $project: { _id: 0 } }
+      ]
+    } }
+  ]);
+  
+  const totals = result.totals[0] || { 
+    events: 0, total: 0, confirmed: 0, pending: 0, waitlisted: 0, cancelled: 0, attended: 0, noShow: 0, checkedIn: 0 
+  };
+  
+  return {
+    totals: addRates(totals),
+    events: result.events.map(addRates)
+  };
+};
+
+// The intervals accepted by getEventStats
+registrationSchema.statics.TIME_INTERVALS = Object.keys(TIME_INTERVALS);
+
+// The statuses and allowed status changes, e.g. for validating filters
+registrationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+registrationSchema.statics.TRANSFERABLE_STATUSES = TRANSFERABLE_STATUSES;
+
 // Create and export the Registration model
 // This model will be used to interact with the 'registrations' collection in MongoDB
 const Registration = mongoose.model('Registration', registrationSchema);
@@ -0,0 +1,78 @@
+// models/Reminder.js - This file defines the Reminder schema/structure
+// A reminder is one scheduled email to all attendees of an event, e.g. "24 hours before"
+// Reminders are stored in MongoDB, so they survive server restarts
+
+const mongoose = require('mongoose');
+
+// Define the structure of a Reminder document
+const reminderSchema = new mongoose.Schema({
+  // The event the reminder is about
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  
+  // How many minutes before the event the reminder is sent (e.g. 1440 = 24 hours)
+  offsetMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  
+  // When the reminder should be sent (event date minus the offset)
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  
+  // Reminder status
+  // 'pending' - waiting for sendAt
+  // 'processing' - a server instance is sending it right now (see lockedUntil)
+  // 'sent' - all attendees got the reminder
+  // 'cancelled' - the event was cancelled or the offset was removed
+  // 'skipped' - too late to send it (the event was moved closer, or the server was down until the event started)
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'cancelled', 'skipped'],
+    default: 'pending'
+  },
+  
+  // Which server instance is sending the reminder and until when it holds the lock
+  // If that instance crashes, another one takes over after lockedUntil
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  
+  // Users who already got this reminder - nobody gets it twice, even if sending is retried
+  sentTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  // When the reminder was completely sent
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Automatically add createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Only one reminder per event and offset
+reminderSchema.index({ eventId: 1, offsetMinutes: 1 }, { unique: true });
+
+// Index for finding the reminders that are due
+reminderSchema.index({ status: 1, sendAt: 1 });
+
+// Create and export the Reminder model
+// This model will be used to interact with the 'reminders' collection in MongoDB
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
@@ -1,6 +1,11 @@
 // models/User.js - This file defines the User schema/structure
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// How long a password reset code works (default 24 hours - long enough for invited attendees)
+const PASSWORD_RESET_MINUTES = Number(process.env.PASSWORD_RESET_MINUTES) || 24 * 60;
 
 // Define the structure of a User document
 const userSchema = new mongoose.Schema({
@@ -18,12 +23,143 @@ const userSchema = new mongoose.Schema({
     unique: true,    // No two users can have the same email
     lowercase: true, // Convert to lowercase
     trim: true
+  },
+  
+  // User's password - stored as a bcrypt hash, never as plain text
+  // select: false means it is not returned by queries unless explicitly asked for
+  // Users created for them (CSV import, group registration, transfer) and older accounts may have none yet -
+  // they can not log in until they set one with a password reset (POST /auth/forgot-password)
+  password: {
+    type: String,
+    minlength: 8,
+    select: false
+  },
+  
+  // Password reset - only a SHA-256 hash of the code that was emailed is stored, and it expires
+  passwordResetHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  
+  // User's role
+  // 'attendee' - a normal user who registers for events
+  // 'organizer' - can create events and manage their own events
+  // 'admin' - can manage every event and registration
+  role: {
+    type: String,
+    enum: ['attendee', 'organizer', 'admin'],
+    default: 'attendee'
+  },
+  
+  // Secret token for the user's calendar feed URL
+  // Calendar apps can not log in, so the token in the URL identifies the user
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,    // Users without a token are allowed
+    select: false
+  },
+  
+  // When the account was deleted (null = active)
+  // Deleted accounts are anonymised instead of removed, so their registrations for past events
+  // still point to a user (see User.anonymize)
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   // Automatically add createdAt and updatedAt timestamps
-  timestamps: true
+  timestamps: true,
+  
+  // Never send the password hash back in API responses
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.password;
+      delete ret.calendarToken;
+      return ret;
+    }
+  }
+});
+
+// Pre-save middleware - hash the password before storing it
+userSchema.pre('save', async function() {
+  // Only hash if the password is new or was changed
+  if (!this.isModified('password')) return;
+  
+  this.password = await bcrypt.hash(this.password, 10);
 });
 
+// Instance method - check a plain text password against the stored hash
+// The user must have been loaded with .select('+password')
+// Users without a password never match
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Hash of a password reset code, as stored on the user
+const hashResetCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Start a password reset - returns the code to email to the user
+// A new code replaces the previous one
+userSchema.statics.createPasswordReset = async function(userId) {
+  const code = crypto.randomBytes(32).toString('hex');
+  await this.updateOne(
+    { _id: userId },
+    { 
+      passwordResetHash: hashResetCode(code), 
+      passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000) 
+    }
+  );
+  return code;
+};
+
+// Set a new password with a reset code
+// The code is cleared in the same atomic update that finds it, so it can only be used once
+// Returns the user, or null if the code is unknown or expired
+userSchema.statics.resetPassword = async function(code, password) {
+  const user = await this.findOneAndUpdate(
+    { passwordResetHash: hashResetCode(code), passwordResetExpiresAt: { $gt: new Date() }, deletedAt: null },
+    { passwordResetHash: null, passwordResetExpiresAt: null },
+    { new: true }
+  );
+  if (!user) return null;
+  
+  // The password is hashed by the pre-save middleware
+  user.password = password;
+  await user.save();
+  return user;
+};
+
+// Anonymise a deleted account
+// The name and email are replaced and the password and calendar token removed, so nobody can log in
+// and nothing personal is kept - only the _id stays, for the registrations of past events
+// The email gets a placeholder that can never be a real address, so the old email can be used again
+userSchema.statics.anonymize = function(userId) {
+  return this.findOneAndUpdate(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: `deleted-${userId}@deleted.invalid`,
+        role: 'attendee',
+        deletedAt: new Date()
+      },
+      $unset: { password: 1, calendarToken: 1, passwordResetHash: 1, passwordResetExpiresAt: 1 }
+    },
+    { new: true }
+  );
+};
+
+// How long a password reset code works, in minutes (used in the email)
+userSchema.statics.PASSWORD_RESET_MINUTES = PASSWORD_RESET_MINUTES;
+
 // Create and export the User model
 // This model will be used to interact with the 'users' collection in MongoDB
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,139 @@
+// notifications/index.js - Sends emails about registrations and events
+// The transport (how emails are delivered) is chosen with NOTIFICATION_TRANSPORT:
+//   'console' (default) - print emails to the console
+//   'file' - write emails to files (see transports/fileTransport.js)
+//   'smtp' - send real emails (see transports/smtpTransport.js)
+//
+// Sending never throws: a broken mail server must not break the API request.
+// Every attempt is recorded in the notifications collection (see models/Notification.js).
+
+const Notification = require('../models/Notification');
+const Registration = require('../models/Registration');
+const templates = require('./templates');
+const consoleTransport = require('./transports/consoleTransport');
+const fileTransport = require('./transports/fileTransport');
+const smtpTransport = require('./transports/smtpTransport');
+
+// All built-in transports by name
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+// The transport in use - can be replaced with setTransport() (e.g. in tests)
+let activeTransport = transports[process.env.NOTIFICATION_TRANSPORT] || consoleTransport;
+
+// Replace the transport
+// A transport is any object with a "name" and an async "send(message)" function
+const setTransport = (transport) => {
+  activeTransport = typeof transport === 'string' ? transports[transport] : transport;
+  if (!activeTransport || typeof activeTransport.send !== 'function') {
+    throw new Error('Unknown notification transport');
+  }
+};
+
+// Send one email using a template
+// type - name of the template (see templates.js)
+// data - { user, event, registration, changes } passed to the template
+const notify = async (type, data) => {
+  try {
+    const template = templates[type];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${type}`);
+    }
+    
+    const { user, event, registration } = data;
+    const message = { to: user.email, ...template(data) };
+    
+    // Try to send the email and remember the result
+    let status = 'sent';
+    let error = null;
+    try {
+      await activeTransport.send(message);
+    } catch (sendError) {
+      status = 'failed';
+      error = sendError.message;
+      console.error(`❌ Failed to send "${type}" email to ${message.to}:`, sendError.message);
+    }
+    
+    // Record the attempt
+    await Notification.create({
+      type,
+      to: message.to,
+      subject: message.subject,
+      transport: activeTransport.name,
+      status,
+      error,
+      userId: user._id,
+      eventId: event ? event._id : null,
+      registrationId: registration ? registration._id : null
+    });
+    
+  } catch (error) {
+    // Even recording can fail (e.g. database down) - log it and move on
+    console.error(`❌ Error in "${type}" notification:`, error.message);
+  }
+};
+
+// Send an email to every attendee of an event
+// statuses - which registrations to include (default: confirmed and waitlisted attendees)
+const notifyAttendees = async (type, event, data = {}, statuses = ['confirmed', 'waitlisted']) => {
+  try {
+    const registrations = await Registration.find({ 
+      eventId: event._id, 
+      status: { $in: statuses } 
+    }).populate('userId');
+    
+    await Promise.all(registrations
+      .filter((registration) => registration.userId)
+      .map((registration) => notify(type, {
+        ...data,
+        user: registration.userId,
+        event,
+        registration
+      })));
+      
+  } catch (error) {
+    console.error(`❌ Error notifying attendees of event ${event._id}:`, error.message);
+  }
+};
+
+// Send the "you got a seat" email for registrations promoted from the waitlist
+const notifyPromoted = async (promotedRegistrations, event) => {
+  try {
+    await Promise.all(promotedRegistrations.map(async (registration) => {
+      await registration.populate('userId');
+      if (registration.userId) {
+        await notify('waitlistPromoted', { user: registration.userId, event, registration });
+      }
+    }));
+  } catch (error) {
+    console.error('❌ Error notifying promoted attendees:', error.message);
+  }
+};
+
+// Tell all attendees that an event was changed
+// before - the event as a plain object before the change (event.toObject())
+// updatedEvent - the event after the change
+// fields - the fields that may have been changed
+// Only sends emails if at least one field really has a different value
+const notifyEventChanged = async (before, updatedEvent, fields) => {
+  const after = updatedEvent.toObject();
+  const changes = fields.filter((field) => 
+    JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  
+  if (changes.length > 0) {
+    await notifyAttendees('eventChanged', updatedEvent, { changes });
+  }
+};
+
+module.exports = {
+  notify,
+  notifyAttendees,
+  notifyPromoted,
+  notifyEventChanged,
+  setTransport,
+  transports
+};
@@ -0,0 +1,228 @@
+// notifications/reminders.js - Scheduled reminder emails before events
+// Reminders are stored in MongoDB (see models/Reminder.js) and sent by a small in-process scheduler.
+//
+// Settings (environment variables):
+//   REMINDER_OFFSETS - default minutes before an event, comma separated (default "1440,60" = 24h and 1h)
+//   REMINDER_POLL_MS - how often the scheduler looks for due reminders (default 60000 = 1 minute)
+//
+// Several server instances can run the scheduler at the same time: each reminder is claimed with
+// a single atomic update, and every attendee is claimed the same way before their email is sent,
+// so nobody gets it twice - even if a slow send lets another instance take over the reminder.
+
+const os = require('os');
+const crypto = require('crypto');
+const Reminder = require('../models/Reminder');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { notify } = require('./index');
+
+// Default reminder offsets in minutes
+const DEFAULT_OFFSETS = (process.env.REMINDER_OFFSETS || '1440,60')
+  .split(',')
+  .map((value) => Number(value.trim()))
+  .filter((value) => Number.isInteger(value) && value > 0);
+
+// How often the scheduler checks for due reminders
+const POLL_INTERVAL_MS = Number(process.env.REMINDER_POLL_MS) || 60 * 1000;
+
+// How long an instance may work on one reminder before another instance takes over
+// The lock is renewed after every attendee, so only a stuck or crashed instance loses it
+const LOCK_DURATION_MS = 5 * 60 * 1000;
+
+// Identifies this server instance in the reminder locks
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Create or update the reminders of an event
+// Call this whenever an event is created or its date/reminder settings change
+// Reminders whose time moved are sent again at the new time; removed offsets are cancelled
+// (and scheduled again if they are added back)
+// Never throws - a scheduling problem must not fail the API request
+const scheduleReminders = async (event) => {
+  try {
+    const offsets = event.reminderOffsets ? [...event.reminderOffsets] : DEFAULT_OFFSETS;
+    const now = new Date();
+    
+    // Cancelled events get no reminders at all
+    if (event.status === 'cancelled') {
+      await cancelReminders(event._id);
+      return;
+    }
+    
+    for (const offsetMinutes of offsets) {
+      const sendAt = new Date(event.date.getTime() - offsetMinutes * 60 * 1000);
+      
+      // Too late for this reminder - do not send it (also if the event was moved closer)
+      if (sendAt <= now) {
+        await Reminder.updateOne(
+          { eventId: event._id, offsetMinutes, status: 'pending' },
+          { status: 'skipped' }
+        );
+        continue;
+      }
+      
+      // The event was rescheduled (or the offset was removed and added back) - move the reminder and send it again
+      await Reminder.updateOne(
+        { eventId: event._id, offsetMinutes, $or: [{ sendAt: { $ne: sendAt } }, { status: 'cancelled' }] },
+        { $set: { sendAt, status: 'pending', sentTo: [], sentAt: null, lockedBy: null, lockedUntil: null } }
+      );
+      
+      // First time - create the reminder
+      await Reminder.updateOne(
+        { eventId: event._id, offsetMinutes },
+        { $setOnInsert: { sendAt, status: 'pending' } },
+        { upsert: true }
+      );
+    }
+    
+    // Offsets that are no longer wanted
+    await Reminder.updateMany(
+      { eventId: event._id, offsetMinutes: { $nin: offsets }, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    
+  } catch (error) {
+    console.error(`❌ Error scheduling reminders for event ${event._id}:`, error.message);
+  }
+};
+
+// Cancel all pending reminders of an event (e.g. when the event is cancelled)
+const cancelReminders = async (eventId) => {
+  try {
+    await Reminder.updateMany(
+      { eventId, status: 'pending' },
+      { status: 'cancelled' }
+    );
+  } catch (error) {
+    console.error(`❌ Error cancelling reminders for event ${eventId}:`, error.message);
+  }
+};
+
+// Claim the next due reminder for this instance
+// The claim is a single atomic update, so two instances can never claim the same reminder
+// Reminders left "processing" by a crashed instance are picked up once their lock expired
+const claimNextReminder = () => {
+  const now = new Date();
+  return Reminder.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', sendAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    { 
+      status: 'processing', 
+      lockedBy: INSTANCE_ID, 
+      lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) 
+    },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+// Send one claimed reminder to every confirmed attendee who did not get it yet
+const sendReminder = async (reminder) => {
+  const event = await Event.findById(reminder.eventId);
+  
+  // The event is gone, cancelled or has already started - nothing to remind about
+  if (!event || event.status === 'cancelled' || event.date <= new Date()) {
+    await Reminder.updateOne(
+      { _id: reminder._id, lockedBy: INSTANCE_ID },
+      { status: event && event.status !== 'cancelled' ? 'skipped' : 'cancelled', lockedBy: null, lockedUntil: null }
+    );
+    return;
+  }
+  
+  const registrations = await Registration.find({ 
+    eventId: event._id, 
+    status: 'confirmed' 
+  }).populate('userId');
+  
+  for (const registration of registrations) {
+    const user = registration.userId;
+    if (!user) continue;
+    
+    // Still working on it - keep the lock, so no other instance takes over
+    await Reminder.updateOne(
+      { _id: reminder._id, lockedBy: INSTANCE_ID },
+      { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) }
+    );
+    
+    // Claim the attendee before sending - only one instance can add them to sentTo,
+    // so they are skipped if they already got it (or another instance is sending it right now)
+    const claimed = await Reminder.updateOne(
+      { _id: reminder._id, sentTo: { $ne: user._id } },
+      { $addToSet: { sentTo: user._id } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+    
+    await notify('eventReminder', { 
+      user, 
+      event, 
+      registration, 
+      offsetMinutes: reminder.offsetMinutes 
+    });
+  }
+  
+  // Done - only if we still hold the lock (nobody else took over meanwhile)
+  await Reminder.updateOne(
+    { _id: reminder._id, lockedBy: INSTANCE_ID },
+    { status: 'sent', sentAt: new Date(), lockedBy: null, lockedUntil: null }
+  );
+};
+
+// Send all reminders that are due right now
+// Returns the number of reminders processed
+let isProcessing = false;
+const processDueReminders = async () => {
+  // A previous run is still busy - do not start a second one in this instance
+  if (isProcessing) return 0;
+  isProcessing = true;
+  
+  let processed = 0;
+  try {
+    let reminder = await claimNextReminder();
+    while (reminder) {
+      try {
+        await sendReminder(reminder);
+      } catch (error) {
+        // Leave it "processing" - it is retried once the lock expires
+        console.error(`❌ Error sending reminder ${reminder._id}:`, error.message);
+      }
+      processed++;
+      reminder = await claimNextReminder();
+    }
+  } catch (error) {
+    console.error('❌ Error processing reminders:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+  
+  return processed;
+};
+
+// Start and stop the scheduler
+let timer = null;
+
+const startReminderScheduler = () => {
+  if (timer) return;
+  
+  timer = setInterval(processDueReminders, POLL_INTERVAL_MS);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  
+  console.log(`⏰ Reminder scheduler started (every ${POLL_INTERVAL_MS / 1000}s, instance ${INSTANCE_ID})`);
+  processDueReminders();
+};
+
+const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  DEFAULT_OFFSETS,
+  scheduleReminders,
+  cancelReminders,
+  processDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,232 @@
+// notifications/templates.js - The text of every email we send
+// Each template gets { user, event, registration, changes } and returns { subject, text }
+
+// Format an event date in the event's own timezone
+const formatEventDate = (event) => {
+  return new Date(event.date).toLocaleString('en-US', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: event.timezone || 'UTC'
+  }) + ` (${event.timezone || 'UTC'})`;
+};
+
+// Where the event takes place, in one line
+const formatLocation = (event) => {
+  const venue = event.venue || {};
+  const place = [venue.name, venue.address].filter(Boolean).join(', ');
+  if (event.format === 'online') return 'Online';
+  if (event.format === 'hybrid') return place ? `${place} and online` : 'Online and in person';
+  return place || 'To be announced';
+};
+
+// Common event details block used in most emails
+const eventDetails = (event) => [
+  `Event: ${event.title}`,
+  `Date: ${formatEventDate(event)}`,
+  `Location: ${formatLocation(event)}`
+].join('\n');
+
+// Turn a number of minutes into readable text, e.g. 1440 -> "24 hours", 90 -> "90 minutes"
+const formatOffset = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Readable names for the event fields, used in the "event changed" email
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  date: 'Date',
+  endDate: 'End time',
+  timezone: 'Timezone',
+  format: 'Format',
+  venue: 'Venue',
+  onlineMeetingUrl: 'Online meeting link',
+  capacity: 'Capacity'
+};
+
+const templates = {
+  // Sent when a registration gets a seat right away
+  registrationConfirmed: ({ user, event }) => ({
+    subject: `You're registered: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your registration is confirmed. See you there!',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when the event was full and the registration went on the waitlist
+  registrationWaitlisted: ({ user, event }) => ({
+    subject: `You're on the waitlist: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'The event is currently full, so you have been added to the waitlist.',
+      'We will email you as soon as a seat becomes free.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when a registration for an event that requires approval is waiting for the organizer
+  registrationPendingApproval: ({ user, event }) => ({
+    subject: `Registration received: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Thanks for registering! The organizer reviews every registration for this event.',
+      'We will email you as soon as they have decided.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when the organizer approved a registration - it may still be waitlisted or waiting for the payment
+  registrationApproved: ({ user, event, registration }) => ({
+    subject: `Registration approved: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      {
+        confirmed: 'Good news! The organizer approved your registration - it is confirmed. See you there!',
+        waitlisted: 'Good news! The organizer approved your registration. The event is currently full, ' +
+          'so you are on the waitlist - we will email you as soon as a seat becomes free.',
+        pending: 'Good news! The organizer approved your registration. Your seat is reserved - ' +
+          'please pay for your ticket to confirm it.'
+      }[registration.status],
+      registration.approval.message ? `\nMessage from the organizer: ${registration.approval.message}` : '',
+      registration.approval.promoCodeError 
+        ? `\nYour promo code could not be used (${registration.approval.promoCodeError}), so the ticket is at full price.` 
+        : '',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when the organizer rejected a registration
+  registrationRejected: ({ user, event, registration }) => ({
+    subject: `Registration not approved: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Unfortunately the organizer did not approve your registration for this event.',
+      registration.approval.message ? `\nMessage from the organizer: ${registration.approval.message}` : '',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent to the new attendee when a registration was handed to them
+  registrationTransferred: ({ user, event, from }) => ({
+    subject: `You're registered: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `${from ? from.name : 'Another attendee'} has transferred their registration for this event to you.`,
+      'Your ticket is waiting for you in your registrations.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent to the previous attendee when their registration was handed to someone else
+  registrationTransferredAway: ({ user, event, to }) => ({
+    subject: `Registration transferred: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Your registration for this event has been transferred to ${to.name}.`,
+      'Your old ticket no longer works.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when a registration was cancelled
+  registrationCancelled: ({ user, event }) => ({
+    subject: `Registration cancelled: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your registration for this event has been cancelled.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when a waitlisted registration got a seat
+  waitlistPromoted: ({ user, event }) => ({
+    subject: `A seat is free - you're in: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Good news! A seat became free and your registration is now confirmed.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent to confirmed attendees shortly before the event (see notifications/reminders.js)
+  eventReminder: ({ user, event, offsetMinutes }) => ({
+    subject: `Reminder: ${event.title} starts in ${formatOffset(offsetMinutes)}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Just a reminder: your event starts in ${formatOffset(offsetMinutes)}.`,
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent to all attendees when the organizer changed the event
+  eventChanged: ({ user, event, changes = [] }) => ({
+    subject: `Event updated: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'The organizer has made changes to an event you registered for.',
+      changes.length 
+        ? `Changed: ${changes.map((field) => FIELD_LABELS[field] || field).join(', ')}` 
+        : '',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  }),
+  
+  // Sent when a user asked to set a new password (or set their first one)
+  passwordReset: ({ user, code, expiresInMinutes }) => ({
+    subject: 'Set your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Somebody (hopefully you) asked to set a new password for your account.',
+      'Use this code to choose your password:',
+      '',
+      code,
+      '',
+      `The code works once, for the next ${formatOffset(expiresInMinutes)}.`,
+      "If you didn't ask for this, you can ignore this email - your password stays the same."
+    ].join('\n')
+  }),
+  
+  // Sent to all attendees when the organizer cancelled the event
+  eventCancelled: ({ user, event }) => ({
+    subject: `Event cancelled: ${event.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Unfortunately the organizer has cancelled this event.',
+      'Your registration has been cancelled as well.',
+      '',
+      eventDetails(event)
+    ].join('\n')
+  })
+};
+
+module.exports = templates;
@@ -0,0 +1,14 @@
+// notifications/transports/consoleTransport.js - Prints emails to the console
+// Handy for local development: nothing is actually sent
+
+const name = 'console';
+
+// Print the message instead of sending it
+const send = async (message) => {
+  console.log('📧 Email (console transport)');
+  console.log(`   To: ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log(message.text.split('\n').map((line) => `   ${line}`).join('\n'));
+};
+
+module.exports = { name, send };
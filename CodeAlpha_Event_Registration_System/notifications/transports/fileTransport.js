@@ -0,0 +1,25 @@
+// notifications/transports/fileTransport.js - Writes emails to files
+// Every message becomes one JSON file in NOTIFICATION_DIR (default: ./mail-outbox)
+// Useful for tests and local development - you can read exactly what would have been sent
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const name = 'file';
+
+// Folder the messages are written to
+const OUTBOX_DIR = process.env.NOTIFICATION_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+
+// Write the message to a new file
+const send = async (message) => {
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+  
+  // Timestamp plus a random part, so two messages in the same millisecond get different files
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+  await fs.writeFile(
+    path.join(OUTBOX_DIR, fileName),
+    JSON.stringify({ ...message, writtenAt: new Date() }, null, 2)
+  );
+};
+
+module.exports = { name, send, OUTBOX_DIR };
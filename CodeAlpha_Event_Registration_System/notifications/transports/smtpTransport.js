@@ -0,0 +1,40 @@
+// notifications/transports/smtpTransport.js - Sends real emails through an SMTP server
+// Configure it with environment variables:
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465),
+//   SMTP_USER, SMTP_PASS, MAIL_FROM
+
+const nodemailer = require('nodemailer');
+
+const name = 'smtp';
+
+// Address the emails are sent from
+const MAIL_FROM = process.env.MAIL_FROM || 'Event Registration <no-reply@example.com>';
+
+// The connection is only created when the first email is sent
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER 
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } 
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send the message - throws if the SMTP server rejects it
+const send = async (message) => {
+  await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to: message.to,
+    subject: message.subject,
+    text: message.text
+  });
+};
+
+module.exports = { name, send };
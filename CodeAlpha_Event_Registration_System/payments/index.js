@@ -0,0 +1,277 @@
+// payments/index.js - Takes payments for paid tickets and refunds them
+// The provider (who actually moves the money) is chosen with PAYMENT_PROVIDER:
+//   'fake' (default) - works offline, for development and tests (see providers/fakeProvider.js)
+//
+// A provider is any object with a "name" and these async functions:
+//   createPayment({ amount, currency, description, metadata }) -> { id, status, ...anything the client needs }
+//   confirmPayment(paymentId, details) -> { id, status: 'succeeded' or 'failed', error }
+//   refund(paymentId, amount) -> { id }
+//
+// The checkout flow:
+//   1. POST /register with a paid ticket creates a 'pending' registration that holds a seat,
+//      and startCheckout creates the payment at the provider
+//   2. POST /registrations/:id/pay confirms the payment (confirmCheckout) - the registration is confirmed
+//   3. Checkouts that are not paid within CHECKOUT_MINUTES are cancelled (expireCheckouts)
+// Whenever registrations are cancelled, settleCancelledPayments refunds the ones that were paid.
+//
+// Settings (environment variables):
+//   PAYMENT_PROVIDER - see above
+//   CHECKOUT_EXPIRY_POLL_MS - how often expired checkouts are cancelled (default 60000 = 1 minute)
+
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const { notifyPromoted } = require('../notifications');
+const fakeProvider = require('./providers/fakeProvider');
+
+// All built-in providers by name
+const providers = {
+  [fakeProvider.name]: fakeProvider
+};
+
+// The provider used for new payments - can be replaced with setProvider() (e.g. in tests)
+let activeProvider = providers[process.env.PAYMENT_PROVIDER] || fakeProvider;
+
+// How often expired checkouts are looked for
+const POLL_INTERVAL_MS = Number(process.env.CHECKOUT_EXPIRY_POLL_MS) || 60 * 1000;
+
+// Replace the provider
+// Registrations keep using the provider their payment was made with (for refunds)
+const setProvider = (provider) => {
+  const newProvider = typeof provider === 'string' ? providers[provider] : provider;
+  if (!newProvider || typeof newProvider.createPayment !== 'function') {
+    throw new Error('Unknown payment provider');
+  }
+  providers[newProvider.name] = newProvider;
+  activeProvider = newProvider;
+};
+
+// The provider a registration's payment was made with
+const providerOf = (registration) => {
+  const provider = providers[registration.payment.provider];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${registration.payment.provider}`);
+  }
+  return provider;
+};
+
+// Start the payment of a pending registration
+// Returns { registration, checkout } - checkout is what the provider returned (payment ID, status, ...)
+// If the provider fails, the registration is cancelled (so the seat is free again)
+// and { status, error } is returned instead
+const startCheckout = async (registration, event) => {
+  try {
+    const checkout = await activeProvider.createPayment({
+      amount: registration.payment.amount,
+      currency: registration.payment.currency,
+      description: `Ticket for ${event.title}`,
+      metadata: {
+        registrationId: registration._id.toString(),
+        eventId: event._id.toString()
+      }
+    });
+    
+    const updated = await Registration.findByIdAndUpdate(
+      registration._id,
+      { 'payment.provider': activeProvider.name, 'payment.paymentId': checkout.id },
+      { new: true }
+    );
+    
+    return { registration: updated, checkout };
+    
+  } catch (error) {
+    console.error(`❌ Could not start the payment of registration ${registration._id}:`, error.message);
+    
+    await Registration.changeStatus(registration, 'cancelled', { reason: 'Payment could not be started' });
+    await settleCancelledPayments({ _id: registration._id });
+    
+    return { status: 502, error: 'The payment could not be started - please try again later' };
+  }
+};
+
+// Pay for a pending registration
+// details - whatever the provider needs to take the payment (for the fake provider: { cardNumber })
+// Returns { registration } with the confirmed registration, or { status, error }
+const confirmCheckout = async (registration, details) => {
+  if (registration.status !== 'pending' || !registration.payment) {
+    return { status: 400, error: `This registration is ${registration.status} - there is nothing to pay` };
+  }
+  
+  // Too late - the seat was only held for a while
+  if (registration.payment.expiresAt && registration.payment.expiresAt <= new Date()) {
+    await expireCheckout(registration);
+    return { status: 400, error: 'The time to pay has run out - please register again' };
+  }
+  
+  if (!registration.payment.paymentId) {
+    return { status: 400, error: 'The payment of this registration was never started' };
+  }
+  
+  const result = await providerOf(registration).confirmPayment(registration.payment.paymentId, details);
+  
+  if (result.status !== 'succeeded') {
+    // The registration stays pending, so the user can try again with another card
+    await Registration.updateOne({ _id: registration._id }, { 'payment.error': result.error });
+    return { status: 402, error: result.error || 'The payment failed' };
+  }
+  
+  const confirmed = await Registration.confirmPayment(registration);
+  
+  if (!confirmed) {
+    // The checkout expired (or was cancelled) while paying - give the money back
+    // The expiry may already have marked the unpaid checkout as 'cancelled', so both are recorded as paid
+    const recorded = await Registration.updateOne(
+      {
+        _id: registration._id,
+        status: 'cancelled',
+        'payment.paymentId': registration.payment.paymentId,
+        'payment.status': { $in: ['pending', 'cancelled'] }
+      },
+      { 'payment.status': 'paid', 'payment.paidAt': new Date() }
+    );
+    
+    if (recorded.modifiedCount === 1) {
+      await settleCancelledPayments({ _id: registration._id });
+    } else {
+      // The registration has moved on (e.g. registered again with a new checkout) - refund the charge directly,
+      // unless this payment is already recorded on it (e.g. paid twice at the same time)
+      const current = await Registration.findById(registration._id);
+      const stillRecorded = current && current.payment && current.payment.paymentId === registration.payment.paymentId &&
+        current.payment.status !== 'pending' && current.payment.status !== 'cancelled';
+      if (!stillRecorded) {
+        await refundPayment(registration);
+      }
+    }
+    return { status: 409, error: 'The registration was cancelled while paying - the payment has been refunded' };
+  }
+  
+  return { registration: confirmed };
+};
+
+// Refund one paid registration
+// The refund is claimed with an atomic update first, so it can never be paid out twice
+// Never throws - a failed refund is recorded as 'refund-failed' on the registration
+const refundRegistration = async (registration) => {
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: registration._id, 'payment.status': 'paid' },
+    { 'payment.status': 'refunding' },
+    { new: true }
+  );
+  if (!claimed) return null;
+  
+  try {
+    const refund = await providerOf(claimed).refund(claimed.payment.paymentId, claimed.payment.amount);
+    return await Registration.findByIdAndUpdate(
+      claimed._id,
+      {
+        'payment.status': 'refunded',
+        'payment.refundId': refund.id,
+        'payment.refundedAt': new Date(),
+        'payment.error': null
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`❌ Refund of registration ${claimed._id} failed:`, error.message);
+    return Registration.findByIdAndUpdate(
+      claimed._id,
+      { 'payment.status': 'refund-failed', 'payment.error': error.message },
+      { new: true }
+    );
+  }
+};
+
+// Refund a charge that is no longer recorded on its registration
+// Never throws - a failed refund is logged, so it can be refunded by hand at the provider
+const refundPayment = async (registration) => {
+  try {
+    await providerOf(registration).refund(registration.payment.paymentId, registration.payment.amount);
+  } catch (error) {
+    console.error(`❌ Refund of payment ${registration.payment.paymentId} (registration ${registration._id}) failed:`, error.message);
+  }
+};
+
+// Settle the payments of cancelled registrations
+// filter - which registrations to look at, e.g. { _id } or { eventId }
+// Paid ones are refunded, unpaid checkouts are marked as cancelled
+// Call this after cancelling registrations (see Registration.changeStatus and cancelAllForEvent)
+// Returns the list of refunded (or failed) registrations
+const settleCancelledPayments = async (filter) => {
+  // Checkouts that were never paid - nothing to refund
+  await Registration.updateMany(
+    { ...filter, status: 'cancelled', 'payment.status': 'pending' },
+    { 'payment.status': 'cancelled' }
+  );
+  
+  const paid = await Registration.find({ ...filter, status: 'cancelled', 'payment.status': 'paid' });
+  
+  const refunds = [];
+  for (const registration of paid) {
+    const refunded = await refundRegistration(registration);
+    if (refunded) {
+      refunds.push(refunded);
+    }
+  }
+  return refunds;
+};
+
+// Cancel a pending registration whose time to pay has run out
+// The seat goes to the next person on the waitlist
+const expireCheckout = async (registration) => {
+  const { promoted } = await Registration.changeStatus(registration, 'cancelled', {
+    reason: 'Payment not completed in time'
+  });
+  await settleCancelledPayments({ _id: registration._id });
+  
+  if (promoted) {
+    notifyPromoted([promoted], await Event.findById(promoted.eventId));
+  }
+};
+
+// Cancel all pending registrations whose time to pay has run out
+// Never throws - it runs in the background
+const expireCheckouts = async () => {
+  try {
+    const expired = await Registration.find({
+      status: 'pending',
+      'payment.expiresAt': { $lte: new Date() }
+    });
+    
+    for (const registration of expired) {
+      await expireCheckout(registration);
+    }
+    return expired.length;
+  } catch (error) {
+    console.error('❌ Error cancelling expired checkouts:', error.message);
+    return 0;
+  }
+};
+
+// Background job that cancels expired checkouts
+let timer = null;
+
+const startCheckoutExpiry = () => {
+  if (timer) return;
+  
+  timer = setInterval(expireCheckouts, POLL_INTERVAL_MS);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  
+  expireCheckouts();
+};
+
+const stopCheckoutExpiry = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  providers,
+  setProvider,
+  startCheckout,
+  confirmCheckout,
+  refundRegistration,
+  settleCancelledPayments,
+  expireCheckouts,
+  startCheckoutExpiry,
+  stopCheckoutExpiry
+};
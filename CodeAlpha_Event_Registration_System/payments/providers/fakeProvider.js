@@ -0,0 +1,82 @@
+// payments/providers/fakeProvider.js - A payment provider that works completely offline
+// No money is moved and nothing leaves the server: payments are only kept in memory
+// (so they are gone after a restart). It behaves like the test mode of real card providers:
+//   4242 4242 4242 4242 - the payment succeeds
+//   4000 0000 0000 0002 - the card is declined
+// Handy for local development and tests
+
+const crypto = require('crypto');
+
+const name = 'fake';
+
+// Card numbers that succeed, and the ones that fail with their error message
+const SUCCESS_CARD = '4242424242424242';
+const DECLINED_CARD = '4000000000000002';
+
+// All payments made since the server started, by ID
+const payments = new Map();
+
+// Random ID with a prefix, e.g. 'fake_pay_1a2b3c...'
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Start a payment - nothing is charged until it is confirmed
+const createPayment = async ({ amount, currency, description, metadata }) => {
+  const payment = {
+    id: randomId('fake_pay'),
+    amount,
+    currency,
+    description,
+    metadata,
+    status: 'requires_payment',
+    refunded: 0
+  };
+  payments.set(payment.id, payment);
+  
+  return { id: payment.id, status: payment.status };
+};
+
+// Pay with a test card: { cardNumber: '4242 4242 4242 4242' }
+const confirmPayment = async (paymentId, details = {}) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new Error(`Unknown payment: ${paymentId}`);
+  }
+  
+  // Paying twice does not charge twice
+  if (payment.status === 'succeeded') {
+    return { id: payment.id, status: 'succeeded' };
+  }
+  
+  const cardNumber = String(details.cardNumber || '').replace(/[\s-]/g, '');
+  if (cardNumber === DECLINED_CARD) {
+    return { id: payment.id, status: 'failed', error: 'Your card was declined' };
+  }
+  if (cardNumber !== SUCCESS_CARD) {
+    return { id: payment.id, status: 'failed', error: 'Unknown test card - use 4242 4242 4242 4242' };
+  }
+  
+  payment.status = 'succeeded';
+  return { id: payment.id, status: 'succeeded' };
+};
+
+// Pay (part of) a payment back
+const refund = async (paymentId, amount) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new Error(`Unknown payment: ${paymentId}`);
+  }
+  if (payment.status !== 'succeeded') {
+    throw new Error('Only successful payments can be refunded');
+  }
+  if (payment.refunded + amount > payment.amount) {
+    throw new Error('Refund is larger than the payment');
+  }
+  
+  payment.refunded += amount;
+  return { id: randomId('fake_re'), status: 'succeeded' };
+};
+
+// Forget all payments (for tests)
+const reset = () => payments.clear();
+
+module.exports = { name, createPayment, confirmPayment, refund, reset, SUCCESS_CARD, DECLINED_CARD };
@@ -0,0 +1,138 @@
+// routes/authRoutes.js - This file handles login and the current user
+// New users sign up through POST /users (see userRoutes.js)
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { generateToken, requireAuth } = require('../middleware/auth');
+const { notify } = require('../notifications');
+
+// POST /auth/login - Log in with email and password
+// This endpoint returns a token that must be sent with every protected request
+router.post('/login', async (req, res) => {
+  try {
+    // Get login data from request body
+    const { email, password } = req.body;
+    
+    // Only plain text - objects (e.g. { "$ne": null }) must never reach the query
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ 
+        error: 'Email and password are required' 
+      });
+    }
+    
+    // Find the user and include the password hash (it is hidden by default)
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+      .select('+password');
+    
+    // Use the same message for unknown email and wrong password,
+    // so nobody can find out which emails are registered
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ 
+        error: 'Invalid email or password' 
+      });
+    }
+    
+    // Send the token and the user details
+    res.status(200).json({
+      message: 'Login successful',
+      user: user,
+      token: generateToken(user)
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error logging in',
+      details: error.message 
+    });
+  }
+});
+
+// POST /auth/forgot-password - Email a code to set a new password
+// Also how users without a password (imported, registered by someone else, or from before passwords)
+// set their first one
+// Example body: { "email": "jane@example.com" }
+// Always answers the same, so nobody can find out which emails are registered
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase().trim(), deletedAt: null });
+    
+    if (user) {
+      const code = await User.createPasswordReset(user._id);
+      
+      // Not awaited - the answer must not take longer for registered emails
+      notify('passwordReset', { user, code, expiresInMinutes: User.PASSWORD_RESET_MINUTES });
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: 'If an account with this email exists, we have sent it a code to set a new password'
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error starting the password reset',
+      details: error.message 
+    });
+  }
+});
+
+// POST /auth/reset-password - Set a new password with the emailed code
+// Example body: { "code": "...", "password": "new password" }
+// The code works once; the response logs the user in right away
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { code, password } = req.body;
+    
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ 
+        error: 'Code is required' 
+      });
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ 
+        error: 'Password must be at least 8 characters long' 
+      });
+    }
+    
+    const user = await User.resetPassword(code.trim(), password);
+    
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'This code is invalid or has expired - please ask for a new one' 
+      });
+    }
+    
+    // Send the token and the user details, like POST /auth/login
+    res.status(200).json({
+      message: 'Password set successfully',
+      user: user,
+      token: generateToken(user)
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error setting the password',
+      details: error.message 
+    });
+  }
+});
+
+// GET /auth/me - Get the currently logged in user
+// This endpoint is useful for the frontend to check if a stored token is still valid
+router.get('/me', requireAuth, (req, res) => {
+  res.status(200).json({
+    message: 'Current user retrieved successfully',
+    user: req.user
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// routes/calendarRoutes.js - This file handles the personal calendar feed of each user
+// The feed is an iCalendar URL that users subscribe to in their calendar app
+// It lists every event the user has registered for and updates automatically
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const User = require('../models/User');
+const Registration = require('../models/Registration');
+const { requireAuth } = require('../middleware/auth');
+const ical = require('../utils/ical');
+
+// How each registration status shows up in the calendar
+const CALENDAR_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  waitlisted: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  attended: 'CONFIRMED',
+  'no-show': 'CONFIRMED'
+};
+
+// Create a new random, unguessable feed token
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// Build the full feed URL for a token, e.g. http://localhost:3000/calendar/abc123.ics
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/calendar/${token}.ics`;
+
+// GET /calendar/feed-url - Get the personal calendar feed URL of the logged in user
+// The token is created the first time this endpoint is called
+router.get('/feed-url', requireAuth, async (req, res) => {
+  try {
+    // Load the user with the (normally hidden) calendar token
+    let user = await User.findById(req.user._id).select('+calendarToken');
+    
+    // First time - create a token
+    // The filter makes sure two requests at the same time do not create two different tokens
+    if (!user.calendarToken) {
+      await User.updateOne(
+        { _id: user._id, calendarToken: { $exists: false } },
+        { calendarToken: generateCalendarToken() }
+      );
+      user = await User.findById(req.user._id).select('+calendarToken');
+    }
+    
+    res.status(200).json({
+      message: 'Calendar feed URL retrieved successfully',
+      feedUrl: buildFeedUrl(req, user.calendarToken)
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error creating calendar feed URL',
+      details: error.message 
+    });
+  }
+});
+
+// POST /calendar/feed-url/reset - Replace the feed URL of the logged in user
+// Use this if the URL was shared by accident - the old URL stops working
+router.post('/feed-url/reset', requireAuth, async (req, res) => {
+  try {
+    const token = generateCalendarToken();
+    await User.findByIdAndUpdate(req.user._id, { calendarToken: token });
+    
+    res.status(200).json({
+      message: 'Calendar feed URL reset successfully',
+      feedUrl: buildFeedUrl(req, token)
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error resetting calendar feed URL',
+      details: error.message 
+    });
+  }
+});
+
+// GET /calendar/:token.ics - The calendar feed itself
+// Calendar apps can not log in, so the secret token in the URL identifies the user
+router.get('/:token.ics', async (req, res) => {
+  try {
+    // Find the user the token belongs to
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'Calendar feed not found' 
+      });
+    }
+    
+    // Find all registrations of the user with the event details
+    // The online meeting link is included, it is only shown for confirmed registrations
+    const registrations = await Registration.find({ userId: user._id })
+      .populate({ path: 'eventId', select: '+onlineMeetingUrl' });
+    
+    // Build one calendar entry per registration
+    // Cancelled registrations (and cancelled events) stay in the feed marked as CANCELLED,
+    // so calendar apps remove them too
+    const vevents = registrations
+      .filter((registration) => registration.eventId)
+      .map((registration) => ical.buildEvent(registration.eventId, {
+        status: CALENDAR_STATUS[registration.status] || 'CONFIRMED',
+        includeOnlineLink: ['confirmed', 'attended'].includes(registration.status)
+      }));
+    
+    // Send the calendar - no download header, calendar apps read it directly
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(ical.buildCalendar(`${user.name}'s Events`, vevents));
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error building calendar feed',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -3,24 +3,78 @@
 const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const ical = require('../utils/ical');
+const csv = require('../utils/csv');
+const ExcelJS = require('exceljs');
+const { notify, notifyPromoted, notifyEventChanged } = require('../notifications');
+const { scheduleReminders, cancelReminders } = require('../notifications/reminders');
+const { settleCancelledPayments } = require('../payments');
 
 // POST /events - Create a new event
-// This endpoint allows us to add a new event to the database
-router.post('/', async (req, res) => {
+// This endpoint allows organizers (and admins) to add a new event to the database
+router.post('/', requireAuth, requireRole('organizer', 'admin'), async (req, res) => {
   try {
     // Get event data from request body
-    const { title, description, date } = req.body;
+    const { 
+      title, description, date, endDate, timezone, 
+      format, venue, onlineMeetingUrl, reminderOffsets, registrationQuestions, capacity,
+      registrationOpensAt, registrationClosesAt, cancellationDeadline, requiresApproval, ticketTypes, currency, sessions 
+    } = req.body;
     
     // Create a new event object
     const event = new Event({
       title,
       description,
-      date
+      date,
+      endDate,
+      timezone,
+      format,
+      venue,
+      onlineMeetingUrl,
+      reminderOffsets,
+      registrationQuestions,
+      capacity,
+      registrationOpensAt,
+      registrationClosesAt,
+      cancellationDeadline,
+      requiresApproval,
+      currency,
+      // The logged in user who creates the event becomes its organizer
+      organizer: req.user._id
     });
     
+    // Add the ticket types (no tickets are sold yet, whatever the request says)
+    if (ticketTypes !== undefined) {
+      const merged = event.mergeTicketTypes(ticketTypes);
+      if (merged.error) {
+        return res.status(400).json({ 
+          error: 'Invalid event data',
+          details: merged.error 
+        });
+      }
+      event.ticketTypes = merged.ticketTypes;
+    }
+    
+    // Add the sessions of the agenda (nobody chose them yet, whatever the request says)
+    if (sessions !== undefined) {
+      const merged = event.mergeSessions(sessions);
+      if (merged.error) {
+        return res.status(400).json({ 
+          error: 'Invalid event data',
+          details: merged.error 
+        });
+      }
+      event.sessions = merged.sessions;
+    }
+    
     // Save the event to database
     await event.save();
     
+    // Plan the reminder emails for the attendees
+    await scheduleReminders(event);
+    
     // Send success response
     res.status(201).json({
       message: 'Event created successfully',
@@ -28,6 +82,14 @@ router.post('/', async (req, res) => {
     });
     
   } catch (error) {
+    // Invalid values (e.g. an unknown timezone) are the client's fault
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Invalid event data',
+        details: error.message 
+      });
+    }
+    
     // If something goes wrong, send error response
     res.status(500).json({ 
       error: 'Error creating event',
@@ -36,17 +98,135 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /events - Get all events
-// This endpoint returns a list of all events in the database
+// Settings for paginating the event list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort options accepted by GET /events (a leading '-' means descending)
+const SORT_FIELDS = ['date', 'title', 'createdAt'];
+
+// Escape special characters so user input can be used safely inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn the query string of GET /events into a MongoDB filter, sort order and page
+// Returns { error } if a parameter is invalid
+const parseEventListQuery = (query) => {
+  const { search, from, to, when, sort } = query;
+  const filter = {};
+  
+  // Repeated parameters (e.g. ?sort=a&sort=b) arrive as lists - only one value each is allowed
+  const notText = Object.entries({ search, from, to, when, sort })
+    .find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (notText) {
+    return { error: `"${notText[0]}" must be given once, as text` };
+  }
+  
+  // Text search over title and description (case insensitive)
+  if (typeof search === 'string' && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+  
+  // Date range - events between "from" and "to"
+  if (from || to) {
+    filter.date = {};
+    
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) return { error: 'Invalid "from" date' };
+      filter.date.$gte = fromDate;
+    }
+    
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) return { error: 'Invalid "to" date' };
+      filter.date.$lte = toDate;
+    }
+  }
+  
+  // Upcoming or past events only
+  // Upcoming events are listed soonest first, past events most recent first
+  let defaultSort = 'date';
+  if (when) {
+    if (!['upcoming', 'past'].includes(when)) {
+      return { error: '"when" must be "upcoming" or "past"' };
+    }
+    
+    filter.date = filter.date || {};
+    if (when === 'upcoming') {
+      filter.date.$gte = new Date(Math.max(Date.now(), filter.date.$gte || 0));
+    } else {
+      filter.date.$lt = new Date(Math.min(Date.now(), filter.date.$lte || Infinity));
+      delete filter.date.$lte;
+      defaultSort = '-date';
+    }
+  }
+  
+  // Sort order - e.g. sort=date or sort=-date
+  const sortParam = sort || defaultSort;
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `"sort" must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+  }
+  // _id is added as a tie breaker, so events with the same date never jump between pages
+  const sortOrder = sortParam.startsWith('-') ? -1 : 1;
+  const sortBy = { [sortField]: sortOrder, _id: sortOrder };
+  
+  // Pagination - page numbers start at 1
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: '"page" must be a positive whole number' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `"limit" must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  
+  return { filter, sort: sortBy, page, limit };
+};
+
+// GET /events - Get a list of events
+// This endpoint supports searching, filtering, sorting and pagination:
+//   search - text to look for in the title and description
+//   from, to - only events between these dates
+//   when - "upcoming" or "past"
+//   sort - date, title or createdAt (prefix with - for descending)
+//   page, limit - which page to return and how many events per page
+// Example: GET /events?search=react&when=upcoming&page=2&limit=10
 router.get('/', async (req, res) => {
   try {
-    // Find all events in the database
-    const events = await Event.find();
+    // Read and check the query parameters
+    const options = parseEventListQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ 
+        error: options.error 
+      });
+    }
+    
+    const { filter, sort, page, limit } = options;
     
-    // Send the list of events
+    // Find one page of matching events and the total number of matches
+    const [events, total] = await Promise.all([
+      Event.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Event.countDocuments(filter)
+    ]);
+    
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    
+    // Send the list of events with pagination info
     res.status(200).json({
       message: 'Events retrieved successfully',
       count: events.length,
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: totalPages,
+      hasNextPage: hasNextPage,
+      nextPage: hasNextPage ? page + 1 : null,
       events: events
     });
     
@@ -58,6 +238,39 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /events/:id.ics - Download an event as an iCalendar file
+// The file can be imported into Google Calendar, Outlook, Apple Calendar, etc.
+// This route must come before GET /events/:id, otherwise ":id" would match "123.ics"
+router.get('/:id.ics', async (req, res) => {
+  try {
+    // Find the event by ID, including the (normally hidden) online meeting link
+    const event = await Event.findById(req.params.id).select('+onlineMeetingUrl');
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Build the calendar file - the join link is only added for people allowed to see it
+    const calendar = ical.buildCalendar(event.title, [
+      ical.buildEvent(event, { includeOnlineLink: await event.canJoinOnline(req.user) })
+    ]);
+    
+    // Send the file as a download
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+    res.status(200).send(calendar);
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error exporting event',
+      details: error.message 
+    });
+  }
+});
+
 // GET /events/:id - Get a specific event by ID
 // This endpoint returns details of a single event
 router.get('/:id', async (req, res) => {
@@ -65,8 +278,8 @@ router.get('/:id', async (req, res) => {
     // Get the event ID from URL parameter
     const eventId = req.params.id;
     
-    // Find the event by ID
-    const event = await Event.findById(eventId);
+    // Find the event by ID, including the (normally hidden) online meeting link
+    const event = await Event.findById(eventId).select('+onlineMeetingUrl');
     
     // If event not found, send 404 error
     if (!event) {
@@ -75,6 +288,11 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    // The join link is only for confirmed attendees and the people managing the event
+    if (!(await event.canJoinOnline(req.user))) {
+      event.onlineMeetingUrl = undefined;
+    }
+    
     // Send the event details
     res.status(200).json({
       message: 'Event retrieved successfully',
@@ -89,4 +307,463 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// PUT /events/:id - Update an event
+// Only the event's organizer or an admin can edit an event
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    // Find the event by ID
+    const event = await Event.findById(req.params.id);
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Check if the logged in user may edit this event
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to edit this event',
+        reason: 'Only the event organizer or an admin can edit an event'
+      });
+    }
+    
+    // Cancelled events can not be edited anymore
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ 
+        error: 'Cancelled events can not be edited' 
+      });
+    }
+    
+    // Only these fields can be changed - everything else is managed by the server
+    const allowedFields = [
+      'title', 'description', 'date', 'endDate', 'timezone',
+      'format', 'venue', 'onlineMeetingUrl', 'reminderOffsets', 
+      'registrationQuestions', 'capacity',
+      'registrationOpensAt', 'registrationClosesAt', 'cancellationDeadline', 'requiresApproval',
+      'ticketTypes', 'currency', 'sessions'
+    ];
+    const updates = {};
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    
+    // Ticket types are merged into the current ones, so the numbers of sold tickets are kept
+    if (updates.ticketTypes) {
+      const merged = event.mergeTicketTypes(updates.ticketTypes);
+      if (merged.error) {
+        return res.status(400).json({ 
+          error: 'Invalid event data',
+          details: merged.error 
+        });
+      }
+      updates.ticketTypes = merged.ticketTypes;
+    }
+    
+    // Sessions are merged the same way, so the numbers of attendees who chose them are kept
+    if (updates.sessions) {
+      const merged = event.mergeSessions(updates.sessions);
+      if (merged.error) {
+        return res.status(400).json({ 
+          error: 'Invalid event data',
+          details: merged.error 
+        });
+      }
+      updates.sessions = merged.sessions;
+    }
+    
+    // Remember the old values, so we can tell attendees what changed
+    const before = event.toObject();
+    
+    // Save the changes - the capacity can not be lower than the number of confirmed attendees
+    const updatedEvent = await Event.applyUpdates(event, updates);
+    
+    if (!updatedEvent) {
+      const current = await Event.findById(event._id);
+      
+      if (updates.capacity && current.seatsTaken > updates.capacity) {
+        return res.status(400).json({ 
+          error: 'Capacity can not be lower than the number of confirmed attendees',
+          seatsTaken: current.seatsTaken
+        });
+      }
+      
+      // Tickets were sold (or sessions chosen) while they were being changed - the client has to reload
+      return res.status(409).json({ 
+        error: 'Tickets were sold or sessions chosen while you were editing - please reload the event and try again' 
+      });
+    }
+    
+    // If the capacity grew (or was removed), move waitlisted attendees into the new seats
+    const promotedRegistrations = await Registration.fillFreeSeats(updatedEvent._id);
+    
+    // Move the reminders if the date or the reminder settings changed
+    await scheduleReminders(updatedEvent);
+    
+    // Email the attendees about the change and the promoted attendees about their seat
+    // Not awaited - a slow or broken mail server must not delay or fail the update
+    notifyEventChanged(before, updatedEvent, Object.keys(updates));
+    notifyPromoted(promotedRegistrations, updatedEvent);
+    
+    // Count the attendees affected by this change
+    const affectedAttendees = await Registration.countDocuments({ 
+      eventId: updatedEvent._id,
+      status: { $in: ['confirmed', 'waitlisted'] }
+    });
+    
+    // Send success response
+    res.status(200).json({
+      message: 'Event updated successfully',
+      event: await Event.findById(updatedEvent._id).select('+onlineMeetingUrl'),
+      affectedAttendees: affectedAttendees,
+      promotedRegistrations: promotedRegistrations
+    });
+    
+  } catch (error) {
+    // Invalid values (e.g. a negative capacity) are the client's fault
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        error: 'Invalid event data',
+        details: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error updating event',
+      details: error.message 
+    });
+  }
+});
+
+// DELETE /events/:id - Cancel an event
+// The event is not deleted, it is marked as cancelled so attendees can still see what happened
+// All its registrations are marked as cancelled too, and paid tickets are refunded
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    // Find the event by ID
+    const event = await Event.findById(req.params.id);
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Check if the logged in user may cancel this event
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to cancel this event',
+        reason: 'Only the event organizer or an admin can cancel an event'
+      });
+    }
+    
+    // Mark the event as cancelled - only if it is not cancelled already
+    const cancelledEvent = await Event.findOneAndUpdate(
+      { _id: event._id, status: { $ne: 'cancelled' } },
+      { status: 'cancelled', cancelledAt: new Date(), seatsTaken: 0 },
+      { new: true }
+    );
+    
+    if (!cancelledEvent) {
+      return res.status(400).json({ 
+        error: 'Event is already cancelled' 
+      });
+    }
+    
+    // Remember who was attending, so we can email them after cancelling
+    const attendeeRegistrations = await Registration.find({ 
+      eventId: event._id, 
+      status: { $in: ['confirmed', 'waitlisted', 'pending'] } 
+    }).populate('userId');
+    
+    // Cancel all registrations of the event (recorded in each registration's status history)
+    const cancelledRegistrations = await Registration.cancelAllForEvent(event._id, req.user._id);
+    
+    // Refund every paid ticket
+    const refunds = await settleCancelledPayments({ eventId: event._id });
+    
+    // No more reminders for a cancelled event
+    await cancelReminders(event._id);
+    
+    // Email every attendee - not awaited, see PUT /events/:id
+    attendeeRegistrations
+      .filter((registration) => registration.userId)
+      .forEach((registration) => notify('eventCancelled', {
+        user: registration.userId,
+        event: cancelledEvent,
+        registration
+      }));
+    
+    // Send success response
+    res.status(200).json({
+      message: 'Event cancelled successfully',
+      event: cancelledEvent,
+      cancelledRegistrations: cancelledRegistrations,
+      refundedRegistrations: refunds.filter((registration) => registration.payment.status === 'refunded').length
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error cancelling event',
+      details: error.message 
+    });
+  }
+});
+
+// Turn an answer into text for the attendee list, e.g. ['Vegan', 'Gluten free'] -> 'Vegan, Gluten free'
+const formatAnswer = (answer) => {
+  if (answer === undefined || answer === null) return '';
+  if (Array.isArray(answer)) return answer.join(', ');
+  if (typeof answer === 'boolean') return answer ? 'Yes' : 'No';
+  return answer;
+};
+
+// Build the rows of an event's attendee list
+// Returns { header, rows } - one column per registration question after the fixed columns
+const buildAttendeeTable = (event, registrations) => {
+  const questions = event.registrationQuestions || [];
+  
+  const header = [
+    'Name', 'Email', 'Status', 'Registered At', 'Checked In', 'Checked In At',
+    ...questions.map((question) => question.label)
+  ];
+  
+  const rows = registrations.map((registration) => {
+    const user = registration.userId || {};
+    const answers = registration.answers || {};
+    return [
+      user.name || '(deleted user)',
+      user.email || '',
+      registration.status,
+      registration.registeredAt,
+      registration.checkedInAt ? 'Yes' : 'No',
+      registration.checkedInAt,
+      ...questions.map((question) => formatAnswer(answers[question.key]))
+    ];
+  });
+  
+  return { header, rows };
+};
+
+// GET /events/:id/attendees - Get the attendee list of an event
+// Includes the registration time, check-in status and the answers to the registration questions
+// Use ?format=json (default), ?format=csv or ?format=xlsx (Excel)
+// Use ?status=confirmed (or waitlisted, cancelled) to only list some of the registrations
+// Only the event's organizer or an admin can see the attendee list
+router.get('/:id/attendees', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ 
+        error: 'format must be "json", "csv" or "xlsx"' 
+      });
+    }
+    
+    // Find the event by ID
+    const event = await Event.findById(req.params.id);
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Check if the logged in user may see the attendees
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to see the attendees of this event',
+        reason: 'Only the event organizer or an admin can see the attendee list'
+      });
+    }
+    
+    // Only some statuses, if asked for
+    const filter = { eventId: event._id };
+    if (req.query.status) {
+      const statuses = Registration.schema.path('status').enumValues;
+      if (!statuses.includes(req.query.status)) {
+        return res.status(400).json({ 
+          error: `status must be one of: ${statuses.join(', ')}` 
+        });
+      }
+      filter.status = req.query.status;
+    }
+    
+    // Find the registrations, first come first
+    const registrations = await Registration.find(filter)
+      .populate('userId', 'name email')
+      .sort({ registeredAt: 1 });
+    
+    if (format === 'json') {
+      return res.status(200).json({
+        message: 'Attendees retrieved successfully',
+        event: { _id: event._id, title: event.title, date: event.date },
+        count: registrations.length,
+        questions: event.registrationQuestions,
+        attendees: registrations.map((registration) => ({
+          registrationId: registration._id,
+          user: registration.userId,
+          status: registration.status,
+          approval: registration.approval,
+          registeredAt: registration.registeredAt,
+          checkedIn: Boolean(registration.checkedInAt),
+          checkedInAt: registration.checkedInAt,
+          answers: registration.answers || {},
+          statusHistory: registration.statusHistory
+        }))
+      });
+    }
+    
+    const { header, rows } = buildAttendeeTable(event, registrations);
+    const filename = `attendees-${event._id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'csv') {
+      // Dates as ISO text, so every spreadsheet program reads them the same way
+      const csvRows = rows.map((row) => row.map((value) => (value instanceof Date ? value.toISOString() : value)));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(csv.stringify(header, csvRows));
+    }
+    
+    // Excel file with one sheet
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Attendees');
+    sheet.addRow(header).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(row));
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.max(12, header[index].length + 2);
+    });
+    // Show the date columns with date and time
+    [4, 6].forEach((columnNumber) => {
+      sheet.getColumn(columnNumber).numFmt = 'yyyy-mm-dd hh:mm';
+      sheet.getColumn(columnNumber).width = 18;
+    });
+    
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.status(200).send(Buffer.from(await workbook.xlsx.writeBuffer()));
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching attendees',
+      details: error.message 
+    });
+  }
+});
+
+// GET /events/:id/stats - Statistics of an event
+// Only the event organizer (or an admin) can see them
+// Returns counts per status, cancellation rate, waitlist length, check-in rate,
+// registrations over time and the breakdown of the registration question answers
+// Optional query: ?interval=day|week|month (default: day) to group registrations over time
+router.get('/:id/stats', requireAuth, async (req, res) => {
+  try {
+    const { interval = 'day' } = req.query;
+    
+    if (!Registration.TIME_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        error: `Interval must be one of: ${Registration.TIME_INTERVALS.join(', ')}` 
+      });
+    }
+    
+    // Find the event by ID
+    const event = await Event.findById(req.params.id);
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Check if the logged in user may see the statistics
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to see the statistics of this event',
+        reason: 'Only the event organizer or an admin can see event statistics'
+      });
+    }
+    
+    const stats = await Registration.getEventStats(event, interval);
+    
+    // Send success response
+    res.status(200).json({
+      event: {
+        _id: event._id,
+        title: event.title,
+        date: event.date,
+        timezone: event.timezone,
+        capacity: event.capacity,
+        seatsTaken: event.seatsTaken
+      },
+      stats: stats
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching event statistics',
+      details: error.message 
+    });
+  }
+});
+
+// POST /events/:id/check-in - Check in an attendee at the door
+// The organizer (or an admin) scans the attendee's QR code and sends the ticket code
+// Example body: { "ticketCode": "3f9c..." }
+// Tickets of other events, unconfirmed registrations and tickets that were already used are rejected
+router.post('/:id/check-in', requireAuth, async (req, res) => {
+  try {
+    // Find the event by ID
+    const event = await Event.findById(req.params.id);
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Check if the logged in user may check in attendees
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to check in attendees for this event',
+        reason: 'Only the event organizer or an admin can check in attendees'
+      });
+    }
+    
+    // Cancelled events have no attendees to check in
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ 
+        error: 'This event has been cancelled' 
+      });
+    }
+    
+    // Mark the ticket as used
+    const { registration, status, ...rejection } = await Registration.checkIn(
+      event._id, 
+      req.body.ticketCode, 
+      req.user._id
+    );
+    
+    if (!registration) {
+      return res.status(status).json(rejection);
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: `${registration.userId ? registration.userId.name : 'Attendee'} checked in successfully`,
+      registration: registration
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error checking in attendee',
+      details: error.message 
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,300 @@
+// routes/promoCodeRoutes.js - This file handles the promo code endpoints
+// Organizers create discount codes for their events, attendees use them with POST /register
+// (see models/PromoCode.js)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PromoCode = require('../models/PromoCode');
+const Event = require('../models/Event');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// Check the events and ticket types a code is limited to
+// Organizers can only create codes for events they manage; only admins can create codes for every event
+// Every ticket type must belong to one of the events
+// Returns { eventIds, ticketTypeIds }, or { status, error }
+const checkScope = async (user, eventIds = [], ticketTypeIds = []) => {
+  if (!Array.isArray(eventIds) || !Array.isArray(ticketTypeIds)) {
+    return { status: 400, error: 'eventIds and ticketTypeIds must be lists' };
+  }
+  if (![...eventIds, ...ticketTypeIds].every((id) => mongoose.isValidObjectId(id))) {
+    return { status: 400, error: 'eventIds and ticketTypeIds must be valid IDs' };
+  }
+  
+  if (eventIds.length === 0) {
+    if (user.role !== 'admin') {
+      return { status: 400, error: 'Please choose the events the code is for (eventIds)' };
+    }
+    if (ticketTypeIds.length > 0) {
+      return { status: 400, error: 'Ticket types can only be chosen together with their events' };
+    }
+    return { eventIds, ticketTypeIds };
+  }
+  
+  const events = await Event.find({ _id: { $in: eventIds } });
+  if (events.length !== new Set(eventIds.map(String)).size) {
+    return { status: 404, error: 'Event not found' };
+  }
+  if (!events.every((event) => event.isManagedBy(user))) {
+    return { status: 403, error: 'You can only create promo codes for events you organize' };
+  }
+  
+  const unknownTicketType = ticketTypeIds.find((id) => !events.some((event) => event.getTicketType(id)));
+  if (unknownTicketType) {
+    return { status: 400, error: `Ticket type ${unknownTicketType} does not belong to the chosen events` };
+  }
+  
+  return { eventIds, ticketTypeIds };
+};
+
+// Check maxUses and expiresAt from a request body (both can be null = no limit)
+// Returns an error message, or null if they are fine
+const checkLimits = ({ maxUses, expiresAt }) => {
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    return 'maxUses must be a whole number of at least 1 (or null for no limit)';
+  }
+  if (expiresAt !== undefined && expiresAt !== null && isNaN(new Date(expiresAt))) {
+    return 'expiresAt must be a valid date (or null for no expiry)';
+  }
+  return null;
+};
+
+// POST /promo-codes - Create a promo code
+// Only organizers (for their own events) and admins can create promo codes
+// Example body:
+// { "code": "EARLY20", "kind": "percentage", "value": 20, "maxUses": 50,
+//   "expiresAt": "2025-06-01T00:00:00Z", "eventIds": ["..."], "ticketTypeIds": ["..."] }
+// Fixed discounts are in cents of "currency" (default USD), e.g. { "kind": "fixed", "value": 500 } = 5.00 off
+router.post('/', requireAuth, requireRole('organizer', 'admin'), async (req, res) => {
+  try {
+    const { code, kind, value, currency, maxUses, expiresAt } = req.body;
+    
+    const limitError = checkLimits(req.body);
+    if (limitError) {
+      return res.status(400).json({ 
+        error: limitError 
+      });
+    }
+    
+    const scope = await checkScope(req.user, req.body.eventIds, req.body.ticketTypeIds);
+    if (scope.error) {
+      return res.status(scope.status).json({ 
+        error: scope.error 
+      });
+    }
+    
+    const promoCode = new PromoCode({
+      code,
+      kind,
+      value,
+      currency,
+      maxUses,
+      expiresAt,
+      eventIds: scope.eventIds,
+      ticketTypeIds: scope.ticketTypeIds,
+      createdBy: req.user._id
+    });
+    await promoCode.save();
+    
+    // Send success response
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promoCode: promoCode
+    });
+    
+  } catch (error) {
+    // 11000 is MongoDB's duplicate key error code - the code is already taken
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'This promo code already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Invalid promo code data',
+        details: error.message 
+      });
+    }
+    
+    // If something goes wrong, send error response
+    res.status(500).json({ 
+      error: 'Error creating promo code',
+      details: error.message 
+    });
+  }
+});
+
+// GET /promo-codes - List promo codes with how often they were used
+// Admins see all codes, organizers the codes they created
+// Optional query: ?eventId=... - only codes that work for this event
+router.get('/', requireAuth, requireRole('organizer', 'admin'), async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const filter = req.user.role === 'admin' ? {} : { createdBy: req.user._id };
+    
+    if (eventId) {
+      if (!mongoose.isValidObjectId(eventId)) {
+        return res.status(400).json({ 
+          error: 'eventId must be a valid ID' 
+        });
+      }
+      filter.$or = [{ eventIds: { $size: 0 } }, { eventIds: eventId }];
+    }
+    
+    const promoCodes = await PromoCode.find(filter).sort('-createdAt');
+    
+    // Send success response
+    res.status(200).json({
+      count: promoCodes.length,
+      promoCodes: promoCodes
+    });
+    
+  } catch (error) {
+    // If something goes wrong, send error response
+    res.status(500).json({ 
+      error: 'Error fetching promo codes',
+      details: error.message 
+    });
+  }
+});
+
+// GET /promo-codes/check - See what a promo code takes off a ticket, without using it
+// Any logged in user can check a code before registering
+// Example: GET /promo-codes/check?code=EARLY20&eventId=...&ticketTypeId=...
+// Returns the price, the discount and the total in cents
+router.get('/check', requireAuth, async (req, res) => {
+  try {
+    const { code, eventId, ticketTypeId } = req.query;
+    
+    // Find the event the ticket is for
+    const event = mongoose.isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+    
+    // If event not found, send 404 error
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Events with only one ticket type use it by default (like POST /register)
+    const ticketType = ticketTypeId
+      ? event.getTicketType(ticketTypeId)
+      : event.ticketTypes.length === 1 ? event.ticketTypes[0] : null;
+    if (!ticketType) {
+      return res.status(400).json({ 
+        error: 'Please choose one of the ticket types of this event (ticketTypeId)' 
+      });
+    }
+    if (ticketType.price === 0) {
+      return res.status(400).json({ 
+        error: 'Promo codes can only be used for paid tickets' 
+      });
+    }
+    
+    const result = await PromoCode.check(code, {
+      eventId: event._id,
+      ticketTypeId: ticketType._id,
+      currency: event.currency
+    });
+    if (!result.promoCode) {
+      return res.status(result.status).json({ 
+        error: result.error 
+      });
+    }
+    
+    const discount = result.promoCode.discountFor(ticketType.price);
+    
+    // Send success response
+    res.status(200).json({
+      code: result.promoCode.code,
+      kind: result.promoCode.kind,
+      value: result.promoCode.value,
+      currency: event.currency,
+      price: ticketType.price,
+      discount: discount,
+      total: ticketType.price - discount
+    });
+    
+  } catch (error) {
+    // If something goes wrong, send error response
+    res.status(500).json({ 
+      error: 'Error checking promo code',
+      details: error.message 
+    });
+  }
+});
+
+// PUT /promo-codes/:id - Change the limits of a promo code, or switch it off
+// Only the creator of the code or an admin can change it
+// Example body: { "maxUses": 100, "expiresAt": null, "active": false }
+// The code, the discount and the events can not be changed - create a new code instead
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { maxUses, expiresAt, active } = req.body;
+    
+    // Find the promo code
+    const promoCode = mongoose.isValidObjectId(req.params.id) ? await PromoCode.findById(req.params.id) : null;
+    
+    // If promo code not found, send 404 error
+    if (!promoCode) {
+      return res.status(404).json({ 
+        error: 'Promo code not found' 
+      });
+    }
+    
+    // Check if the logged in user may change this code
+    if (req.user.role !== 'admin' && !promoCode.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ 
+        error: 'You can only change promo codes you created' 
+      });
+    }
+    
+    const limitError = checkLimits(req.body);
+    if (limitError) {
+      return res.status(400).json({ 
+        error: limitError 
+      });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'active must be true or false' 
+      });
+    }
+    
+    // Codes that were already used can not be limited below their uses
+    if (maxUses !== undefined && maxUses !== null && maxUses < promoCode.uses) {
+      return res.status(400).json({ 
+        error: `This code was already used ${promoCode.uses} times - maxUses can not be lower` 
+      });
+    }
+    
+    // Only the changed fields are saved, so uses counted in the meantime are not overwritten
+    if (maxUses !== undefined) promoCode.maxUses = maxUses;
+    if (expiresAt !== undefined) promoCode.expiresAt = expiresAt;
+    if (active !== undefined) promoCode.active = active;
+    await promoCode.save();
+    
+    // Send success response
+    res.status(200).json({
+      message: 'Promo code updated successfully',
+      promoCode: promoCode
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Invalid promo code data',
+        details: error.message 
+      });
+    }
+    
+    // If something goes wrong, send error response
+    res.status(500).json({ 
+      error: 'Error updating promo code',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
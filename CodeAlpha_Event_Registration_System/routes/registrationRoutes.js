@@ -1,25 +1,77 @@
 // routes/registrationRoutes.js - This file handles all registration-related API endpoints
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Registration = require('../models/Registration');
 const User = require('../models/User');
 const Event = require('../models/Event');
+const { requireAuth } = require('../middleware/auth');
+const { notify, notifyPromoted } = require('../notifications');
+const QRCode = require('qrcode');
+const { validateAnswers } = require('../utils/registrationForm');
+const { startCheckout, confirmCheckout, settleCancelledPayments } = require('../payments');
 
-// POST /register - Register a user for an event
+// Email the registered user about a cancelled registration, and the promoted attendee about their seat
+// Not awaited by the callers - a slow or broken mail server must not delay the response
+const notifyRegistrationChange = async (registration, event, currentUser, promoted) => {
+  const registeredUser = registration.userId.equals(currentUser._id) 
+    ? currentUser 
+    : await User.findById(registration.userId);
+  if (registeredUser) {
+    notify('registrationCancelled', { user: registeredUser, event, registration });
+  }
+  if (promoted) {
+    notifyPromoted([promoted], event);
+  }
+};
+
+// Find the ticket type chosen for an event
+// Events without ticket types need none; events with only one ticket type use it by default
+// Returns { ticketType } (null for events without ticket types), or { error } if it can not be bought
+const chooseTicketType = (event, ticketTypeId) => {
+  if (event.ticketTypes.length === 0) {
+    return { ticketType: null };
+  }
+  
+  const ticketType = ticketTypeId 
+    ? event.getTicketType(ticketTypeId) 
+    : event.ticketTypes.length === 1 ? event.ticketTypes[0] : null;
+  if (!ticketType) {
+    return { error: 'Please choose one of the ticket types of this event (ticketTypeId)' };
+  }
+  
+  const { onSale, reason } = ticketType.getSaleState();
+  if (!onSale) {
+    return { error: reason };
+  }
+  return { ticketType };
+};
+
+// Refund a cancelled registration's payment (or close its unpaid checkout)
+// Returns the registration with its updated payment
+const settlePayment = async (registration) => {
+  if (!registration.payment) return registration;
+  
+  await settleCancelledPayments({ _id: registration._id });
+  return Registration.findById(registration._id);
+};
+
+// POST /register - Register the logged in user for an event
 // This endpoint creates a connection between a user and an event
-router.post('/register', async (req, res) => {
+// Example body: { "eventId": "...", "ticketTypeId": "...", "promoCode": "EARLY20", "answers": { "diet": "Vegan", "company": "ACME" } }
+// Paid tickets are not confirmed right away: the registration is 'pending' and holds a seat until
+// it is paid with POST /registrations/:id/pay (see payments/index.js)
+// For events that require approval, the registration is 'pending' until an organizer approves it
+// (see POST /registrations/:id/approve)
+// The promo code (optional) gives a discount on a paid ticket - see routes/promoCodeRoutes.js
+router.post('/register', requireAuth, async (req, res) => {
   try {
-    // Get userId and eventId from request body
-    const { userId, eventId } = req.body;
+    // The user always comes from the token, never from the request body
+    const userId = req.user._id;
     
-    // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found' 
-      });
-    }
+    // Get eventId, the promo code and the answers to the event's questions from request body
+    const { eventId, promoCode } = req.body;
     
     // Check if event exists
     const event = await Event.findById(eventId);
@@ -29,34 +81,122 @@ router.post('/register', async (req, res) => {
       });
     }
     
+    // Registration must be open - not cancelled, not started, and inside the registration window
+    const registrationState = event.getRegistrationState();
+    if (!registrationState.open) {
+      return res.status(400).json({ 
+        error: registrationState.reason,
+        registrationStatus: registrationState.status
+      });
+    }
+    
+    // Check the answers against the event's registration questions
+    const { answers, errors } = validateAnswers(event.registrationQuestions, req.body.answers);
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid answers to the registration questions',
+        details: errors 
+      });
+    }
+    
+    // Check the chosen ticket type - it must exist and be on sale
+    const { ticketType, error: ticketError } = chooseTicketType(event, req.body.ticketTypeId);
+    if (ticketError) {
+      return res.status(400).json({ 
+        error: ticketError 
+      });
+    }
+    
+    if (promoCode && typeof promoCode !== 'string') {
+      return res.status(400).json({ 
+        error: 'Promo code must be a string' 
+      });
+    }
+    
     // Check if user is already registered for this event
+    // Users who cancelled can register again - their old registration is re-activated
     const existingRegistration = await Registration.findOne({ 
       userId, 
-      eventId 
+      eventId,
+      status: { $ne: 'cancelled' }
     });
     
     if (existingRegistration) {
-      return res.status(400).json({ 
+      return res.status(409).json({ 
         error: 'User is already registered for this event' 
       });
     }
     
-    // Create a new registration
-    const registration = new Registration({
-      userId,
-      eventId
-    });
+    // Events that require approval - the registration waits for the organizer
+    // The unique index on { userId, eventId } rejects a duplicate that slipped past the check above
+    if (event.requiresApproval) {
+      const registration = await Registration.requestApproval(
+        userId, eventId, answers, req.user._id, ticketType, promoCode || null
+      );
+      
+      notify('registrationPendingApproval', { user: req.user, event, registration });
+      
+      return res.status(201).json({
+        message: 'Your registration is waiting for the organizer\'s approval',
+        registration: registration
+      });
+    }
     
-    // Save the registration to database
-    await registration.save();
+    // Create the registration - confirmed if a seat is free, otherwise waitlisted
+    // The promo code is used up here too - it is given back if the registration fails
+    const registration = await Registration.registerUser(
+      userId, eventId, answers, req.user._id, ticketType, promoCode || null
+    );
+    const status = registration.status;
+    
+    // Paid ticket - start the payment, the confirmation email is sent once it is paid
+    if (status === 'pending') {
+      const checkout = await startCheckout(registration, event);
+      if (!checkout.registration) {
+        return res.status(checkout.status).json({ 
+          error: checkout.error 
+        });
+      }
+      
+      return res.status(201).json({
+        message: 'Your seat is reserved - please pay to confirm your registration',
+        registration: checkout.registration,
+        checkout: checkout.checkout
+      });
+    }
+    
+    // Send a confirmation email - this is not awaited, a slow or broken
+    // mail server must not delay or fail the registration
+    notify(status === 'confirmed' ? 'registrationConfirmed' : 'registrationWaitlisted', {
+      user: req.user,
+      event,
+      registration
+    });
     
     // Send success response
     res.status(201).json({
-      message: 'Registration successful',
+      message: status === 'confirmed' 
+        ? 'Registration successful' 
+        : 'Event is full - you have been added to the waitlist',
       registration: registration
     });
     
   } catch (error) {
+    // 11000 is MongoDB's duplicate key error code
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'User is already registered for this event' 
+      });
+    }
+    
+    // Sold out - no tickets of the chosen type or no seats for a paid ticket -
+    // or the promo code can not be used
+    if (error.status) {
+      return res.status(error.status).json({ 
+        error: error.message 
+      });
+    }
+    
     res.status(500).json({ 
       error: 'Error creating registration',
       details: error.message 
@@ -64,13 +204,208 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Largest group that can be registered in one request
+const MAX_GROUP_SIZE = 50;
+
+// POST /register/group - Register several people for an event at once (e.g. a team lead and colleagues)
+// Attendees are existing users ({ userId } or { email }) or new people ({ name, email }),
+// each with their own answers to the event's registration questions
+// Example body:
+// {
+//   "eventId": "...",
+//   "attendees": [
+//     { "userId": "..." },
+//     { "name": "Jane Doe", "email": "jane@example.com", "answers": { "diet": "Vegan" } }
+//   ]
+// }
+// All or nothing: if one attendee can not be registered, nobody is registered
+// Events with ticket types need a free "ticketTypeId" for the whole group - paid tickets are bought one by one
+// For events that require approval, only the event organizer or an admin can register a group
+router.post('/register/group', requireAuth, async (req, res) => {
+  try {
+    const { eventId, attendees, ticketTypeId } = req.body;
+    
+    if (!Array.isArray(attendees) || attendees.length === 0) {
+      return res.status(400).json({ 
+        error: 'Please provide a list of attendees' 
+      });
+    }
+    if (attendees.length > MAX_GROUP_SIZE) {
+      return res.status(400).json({ 
+        error: `A group can have at most ${MAX_GROUP_SIZE} attendees` 
+      });
+    }
+    
+    // Check if event exists
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ 
+        error: 'Event not found' 
+      });
+    }
+    
+    // Registration must be open - not cancelled, not started, and inside the registration window
+    const registrationState = event.getRegistrationState();
+    if (!registrationState.open) {
+      return res.status(400).json({ 
+        error: registrationState.reason,
+        registrationStatus: registrationState.status
+      });
+    }
+    
+    // Group registrations are confirmed right away - nobody would vet them
+    if (event.requiresApproval && !event.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'This event requires approval - attendees have to register one by one' 
+      });
+    }
+    
+    // Check the ticket type - everybody in the group gets the same free ticket
+    const { ticketType, error: ticketError } = chooseTicketType(event, ticketTypeId);
+    if (ticketError) {
+      return res.status(400).json({ 
+        error: ticketError 
+      });
+    }
+    if (ticketType && ticketType.price > 0) {
+      return res.status(400).json({ 
+        error: 'Groups can only be registered with free tickets - paid tickets are bought one by one' 
+      });
+    }
+    
+    // Look up every attendee and check their answers before saving anything
+    const group = [];
+    const results = [];
+    const seen = new Set();
+    for (const [index, attendee] of attendees.entries()) {
+      const result = { index };
+      results.push(result);
+      
+      if (!attendee || typeof attendee !== 'object') {
+        result.error = 'Attendee must be an object with "userId" or "email"';
+        continue;
+      }
+      
+      // Existing user by ID or email - otherwise a new user with name and email
+      let user = null;
+      const email = typeof attendee.email === 'string' ? attendee.email.trim().toLowerCase() : '';
+      if (attendee.userId) {
+        user = mongoose.isValidObjectId(attendee.userId) ? await User.findById(attendee.userId) : null;
+        if (!user) {
+          result.error = 'User not found';
+          continue;
+        }
+      } else if (email) {
+        user = await User.findOne({ email });
+        if (!user && !(typeof attendee.name === 'string' && attendee.name.trim())) {
+          result.email = email;
+          result.error = 'Name is required for attendees without an account';
+          continue;
+        }
+      } else {
+        result.error = 'Attendee needs a "userId" or an "email"';
+        continue;
+      }
+      
+      result.userId = user ? user._id : undefined;
+      result.email = user ? user.email : email;
+      
+      // The same person twice in one group
+      const identity = user ? user._id.toString() : email;
+      if (seen.has(identity)) {
+        result.error = 'Attendee is listed twice';
+        continue;
+      }
+      seen.add(identity);
+      
+      // Check the answers against the event's registration questions
+      const { answers, errors } = validateAnswers(event.registrationQuestions, attendee.answers);
+      if (errors) {
+        result.error = 'Invalid answers to the registration questions';
+        result.details = errors;
+        continue;
+      }
+      
+      group.push({ user, name: attendee.name && attendee.name.trim(), email, answers });
+    }
+    
+    if (results.some((result) => result.error)) {
+      return res.status(400).json({ 
+        error: 'Some attendees can not be registered - nobody was registered',
+        results: results 
+      });
+    }
+    
+    // Register the whole group in one transaction
+    const registrations = await Registration.registerGroup(
+      event._id, 
+      group, 
+      req.user._id, 
+      ticketType ? ticketType._id : null
+    );
+    
+    // Send a confirmation email to every attendee - not awaited, see POST /register
+    registrations.forEach((registration) => notify('registrationConfirmed', {
+      user: registration.userId,
+      event,
+      registration
+    }));
+    
+    // Send success response with one result per attendee
+    res.status(201).json({
+      message: `Registered ${registrations.length} attendee(s)`,
+      count: registrations.length,
+      results: registrations.map((registration, index) => ({
+        index,
+        userId: registration.userId._id,
+        name: registration.userId.name,
+        email: registration.userId.email,
+        newAccount: !group[index].user,
+        status: registration.status,
+        registrationId: registration._id
+      }))
+    });
+    
+  } catch (error) {
+    // Rejected by the transaction - already registered or not enough seats
+    if (error.status) {
+      return res.status(error.status).json({ 
+        error: `${error.message} - nobody was registered`,
+        seatsLeft: error.seatsLeft,
+        results: error.results
+      });
+    }
+    
+    // 11000 is MongoDB's duplicate key error code - someone registered (or signed up) at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'An attendee was registered or signed up at the same time - nobody was registered' 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error creating group registration',
+      details: error.message 
+    });
+  }
+});
+
 // GET /registrations/:userId - Get all registrations of a specific user
 // This endpoint shows all events a user has registered for
-router.get('/registrations/:userId', async (req, res) => {
+// Use ?status=cancelled (or confirmed, waitlisted, attended, no-show) to only list some of them
+// Users can only see their own registrations
+router.get('/registrations/:userId', requireAuth, async (req, res) => {
   try {
     // Get userId from URL parameter
     const userId = req.params.userId;
     
+    // Only allow the logged in user to look at their own registrations
+    if (userId !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        error: 'You can only view your own registrations' 
+      });
+    }
+    
     // Check if user exists
     const user = await User.findById(userId);
     if (!user) {
@@ -79,9 +414,21 @@ router.get('/registrations/:userId', async (req, res) => {
       });
     }
     
+    // Only some statuses, if asked for - e.g. ?status=confirmed
+    const filter = { userId };
+    if (req.query.status) {
+      const statuses = Registration.schema.path('status').enumValues;
+      if (!statuses.includes(req.query.status)) {
+        return res.status(400).json({ 
+          error: `status must be one of: ${statuses.join(', ')}` 
+        });
+      }
+      filter.status = req.query.status;
+    }
+    
     // Find all registrations for this user
     // .populate() fills in the actual event details instead of just the ID
-    const registrations = await Registration.find({ userId })
+    const registrations = await Registration.find(filter)
       .populate('eventId');  // This replaces eventId with full event details
     
     // Send the list of registrations
@@ -100,27 +447,341 @@ router.get('/registrations/:userId', async (req, res) => {
   }
 });
 
+// GET /registrations/:id/ticket - Get the ticket of a registration as a QR code
+// The QR code contains the ticket code, which the organizer scans at the door (POST /events/:id/check-in)
+// Use ?format=svg (default), ?format=png or ?format=json (ticket code and a PNG data URL)
+// Only the registered user, the event's organizer or an admin can see a ticket
+router.get('/registrations/:id/ticket', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'svg';
+    if (!['svg', 'png', 'json'].includes(format)) {
+      return res.status(400).json({ 
+        error: 'format must be "svg", "png" or "json"' 
+      });
+    }
+    
+    // Find the registration
+    const registration = mongoose.isValidObjectId(req.params.id) 
+      ? await Registration.findById(req.params.id) 
+      : null;
+    
+    // If registration not found, send 404 error
+    if (!registration) {
+      return res.status(404).json({ 
+        error: 'Registration not found' 
+      });
+    }
+    
+    // Check if the logged in user is allowed to see this ticket
+    const isRegisteredUser = registration.userId.equals(req.user._id);
+    const event = await Event.findById(registration.eventId);
+    const isEventManager = event ? event.isManagedBy(req.user) : req.user.role === 'admin';
+    
+    if (!isRegisteredUser && !isEventManager) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to see this ticket',
+        reason: 'Only the registered user, the event organizer or an admin can see a ticket'
+      });
+    }
+    
+    // Only attendees with a seat get a ticket (it stays visible after checking in)
+    if (!['confirmed', 'attended'].includes(registration.status)) {
+      return res.status(400).json({ 
+        error: `This registration is ${registration.status} - only confirmed registrations have a ticket` 
+      });
+    }
+    
+    const ticketCode = await Registration.getTicketCode(registration._id);
+    
+    if (format === 'svg') {
+      res.set('Content-Type', 'image/svg+xml');
+      return res.status(200).send(await QRCode.toString(ticketCode, { type: 'svg' }));
+    }
+    
+    if (format === 'png') {
+      res.set('Content-Type', 'image/png');
+      return res.status(200).send(await QRCode.toBuffer(ticketCode));
+    }
+    
+    // Send the ticket details
+    res.status(200).json({
+      message: 'Ticket retrieved successfully',
+      registrationId: registration._id,
+      event: event,
+      ticketCode: ticketCode,
+      qrCode: await QRCode.toDataURL(ticketCode),
+      checkedInAt: registration.checkedInAt
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching ticket',
+      details: error.message 
+    });
+  }
+});
+
+// POST /registrations/:id/pay - Pay for a pending registration (paid ticket)
+// What to send depends on the payment provider - the fake provider takes a test card:
+// Example body: { "cardNumber": "4242 4242 4242 4242" }
+// A declined payment returns 402 and the registration stays pending, so it can be tried again
+// Only the registered user can pay
+router.post('/registrations/:id/pay', requireAuth, async (req, res) => {
+  try {
+    // Find the registration
+    const existingRegistration = mongoose.isValidObjectId(req.params.id) 
+      ? await Registration.findById(req.params.id) 
+      : null;
+    
+    // If registration not found, send 404 error
+    if (!existingRegistration) {
+      return res.status(404).json({ 
+        error: 'Registration not found' 
+      });
+    }
+    
+    if (!existingRegistration.userId.equals(req.user._id)) {
+      return res.status(403).json({ 
+        error: 'Only the registered user can pay for a registration' 
+      });
+    }
+    
+    // Take the payment - the registration is confirmed once it went through
+    const { registration, status, ...rejection } = await confirmCheckout(existingRegistration, req.body || {});
+    
+    if (!registration) {
+      return res.status(status).json(rejection);
+    }
+    
+    // Send the confirmation email - not awaited, see POST /register
+    const event = await Event.findById(registration.eventId);
+    if (event) {
+      notify('registrationConfirmed', { user: req.user, event, registration });
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: 'Payment received - your registration is confirmed',
+      registration: registration
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error processing payment',
+      details: error.message 
+    });
+  }
+});
+
+// POST /registrations/:id/transfer - Hand a registration to another person (e.g. a colleague goes instead)
+// The new attendee is an existing user ({ "userId": "..." } or { "email": "..." })
+// or a new person ({ "name": "...", "email": "..." } - an account is created for them)
+// Example body: { "email": "colleague@example.com", "answers": { "diet": "Vegan" }, "reason": "I am ill" }
+// Without "answers" the current answers are kept - either way they must fit the event's registration questions
+// The seat (or waitlist place), ticket and payment go with it; the registration gets a new ticket code,
+// so the old QR code no longer works
+// Only the registered user, the event organizer or an admin can transfer -
+// for events that require approval only the organizer or an admin
+router.post('/registrations/:id/transfer', requireAuth, async (req, res) => {
+  try {
+    const { userId, name, reason } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    
+    // Find the registration
+    const existingRegistration = mongoose.isValidObjectId(req.params.id) 
+      ? await Registration.findById(req.params.id) 
+      : null;
+    
+    // If registration not found, send 404 error
+    if (!existingRegistration) {
+      return res.status(404).json({ 
+        error: 'Registration not found' 
+      });
+    }
+    
+    // Check if the logged in user is allowed to transfer this registration
+    const isRegisteredUser = existingRegistration.userId.equals(req.user._id);
+    const event = await Event.findById(existingRegistration.eventId);
+    const isEventManager = event ? event.isManagedBy(req.user) : req.user.role === 'admin';
+    
+    if (!isRegisteredUser && !isEventManager) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to transfer this registration',
+        reason: 'Only the registered user, the event organizer or an admin can transfer a registration'
+      });
+    }
+    
+    // The organizer vetted the attendee - they decide who else may come
+    if (event && event.requiresApproval && !isEventManager) {
+      return res.status(403).json({ 
+        error: 'This event requires approval - only the organizer can transfer registrations' 
+      });
+    }
+    
+    if (!Registration.TRANSFERABLE_STATUSES.includes(existingRegistration.status)) {
+      return res.status(400).json({ 
+        error: `A ${existingRegistration.status} registration can not be transferred` 
+      });
+    }
+    
+    // Not for cancelled events or once the event has started
+    const registrationState = event ? event.getRegistrationState() : null;
+    if (!registrationState || ['cancelled', 'started'].includes(registrationState.status)) {
+      return res.status(400).json({ 
+        error: registrationState ? registrationState.reason : 'Event not found' 
+      });
+    }
+    
+    // Find the new attendee - an existing user by ID or email, otherwise a new user with name and email
+    let user = null;
+    if (userId) {
+      user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+      if (!user) {
+        return res.status(404).json({ 
+          error: 'User not found' 
+        });
+      }
+    } else if (email) {
+      user = await User.findOne({ email });
+      if (!user && !(typeof name === 'string' && name.trim())) {
+        return res.status(400).json({ 
+          error: 'Name is required for attendees without an account' 
+        });
+      }
+    } else {
+      return res.status(400).json({ 
+        error: 'Please say who gets the registration ("userId" or "email")' 
+      });
+    }
+    
+    // Check the answers against the event's registration questions
+    const { answers, errors } = validateAnswers(
+      event.registrationQuestions, 
+      req.body.answers !== undefined ? req.body.answers : existingRegistration.answers
+    );
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid answers to the registration questions',
+        details: errors 
+      });
+    }
+    
+    const registration = await Registration.transfer(
+      existingRegistration,
+      user ? { user } : { name: name.trim(), email },
+      { 
+        answers, 
+        by: req.user._id, 
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim() : undefined 
+      }
+    );
+    
+    // Let both attendees know - not awaited, see POST /register
+    const previousUser = isRegisteredUser ? req.user : await User.findById(existingRegistration.userId);
+    notify('registrationTransferred', { user: registration.userId, event, registration, from: previousUser });
+    if (previousUser) {
+      notify('registrationTransferredAway', { user: previousUser, event, registration, to: registration.userId });
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: `Registration transferred to ${registration.userId.name}`,
+      registration: registration
+    });
+    
+  } catch (error) {
+    // 11000 is MongoDB's duplicate key error code - someone registered or signed up at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'The new attendee registered or signed up at the same time - please try again' 
+      });
+    }
+    
+    // Already registered, or changed at the same time
+    if (error.status) {
+      return res.status(error.status).json({ 
+        error: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error transferring registration',
+      details: error.message 
+    });
+  }
+});
+
 // DELETE /registrations/:id - Cancel a registration
-// This endpoint allows a user to cancel their event registration
-router.delete('/registrations/:id', async (req, res) => {
+// The registration is not deleted - its status changes to 'cancelled' and the change is kept in its history
+// Paid tickets are refunded
+// Only the registered user, the event's organizer or an admin can cancel
+// Optional body: { "reason": "Can not make it" }
+router.delete('/registrations/:id', requireAuth, async (req, res) => {
   try {
     // Get registration ID from URL parameter
     const registrationId = req.params.id;
     
-    // Find and delete the registration
-    const registration = await Registration.findByIdAndDelete(registrationId);
+    // Find the registration first, so we can check who owns it
+    const existingRegistration = mongoose.isValidObjectId(registrationId) 
+      ? await Registration.findById(registrationId) 
+      : null;
     
     // If registration not found, send 404 error
-    if (!registration) {
+    if (!existingRegistration) {
       return res.status(404).json({ 
         error: 'Registration not found' 
       });
     }
     
+    // Check if the logged in user is allowed to cancel this registration
+    const isRegisteredUser = existingRegistration.userId.equals(req.user._id);
+    const event = await Event.findById(existingRegistration.eventId);
+    const isEventManager = event ? event.isManagedBy(req.user) : req.user.role === 'admin';
+    
+    if (!isRegisteredUser && !isEventManager) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to cancel this registration',
+        reason: 'Only the registered user, the event organizer or an admin can cancel a registration'
+      });
+    }
+    
+    // Attendees can not cancel themselves after the cancellation deadline or once the event started
+    // The organizer and admins can still cancel (e.g. to free a seat for someone else)
+    // An unpaid checkout (or a registration waiting for approval) can always be withdrawn
+    const isUnpaid = existingRegistration.status === 'pending';
+    if (!isEventManager && !isUnpaid && event && !event.canCancelRegistration()) {
+      return res.status(400).json({ 
+        error: 'Registrations for this event can no longer be cancelled',
+        cancellationDeadline: event.cancellationDeadline
+      });
+    }
+    
+    // Cancel the registration - frees the seat and promotes the next person on the waitlist
+    const reason = (req.body && typeof req.body.reason === 'string' && req.body.reason.trim()) || 
+      (isRegisteredUser ? 'Cancelled by attendee' : 'Cancelled by organizer');
+    const { registration, promoted, status, error } = await Registration.changeStatus(
+      existingRegistration, 
+      'cancelled', 
+      { by: req.user._id, reason }
+    );
+    
+    if (!registration) {
+      return res.status(status).json({ error });
+    }
+    
+    // Refund a paid ticket
+    const cancelledRegistration = await settlePayment(registration);
+    
+    // Let the registered user (and the promoted attendee) know - not awaited, see POST /register
+    if (event) {
+      notifyRegistrationChange(cancelledRegistration, event, req.user, promoted);
+    }
+    
     // Send success response
     res.status(200).json({
       message: 'Registration cancelled successfully',
-      cancelledRegistration: registration
+      cancelledRegistration: cancelledRegistration,
+      promotedRegistration: promoted
     });
     
   } catch (error) {
@@ -131,4 +792,313 @@ router.delete('/registrations/:id', async (req, res) => {
   }
 });
 
+// PUT /registrations/:id/sessions - Choose the sessions of a multi-session event
+// Example body: { "sessionIds": ["...", "..."] } - replaces the earlier choice ([] drops all sessions)
+// Sessions that take place at the same time can not be chosen together (400),
+// and a full session returns 409
+// Only the registered user can choose, once the registration is confirmed and before the event starts
+router.put('/registrations/:id/sessions', requireAuth, async (req, res) => {
+  try {
+    const { sessionIds } = req.body;
+    
+    if (!Array.isArray(sessionIds) || !sessionIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ 
+        error: 'sessionIds must be a list of session IDs' 
+      });
+    }
+    
+    // Find the registration
+    const existingRegistration = mongoose.isValidObjectId(req.params.id) 
+      ? await Registration.findById(req.params.id) 
+      : null;
+    
+    // If registration not found, send 404 error
+    if (!existingRegistration) {
+      return res.status(404).json({ 
+        error: 'Registration not found' 
+      });
+    }
+    
+    if (!existingRegistration.userId.equals(req.user._id)) {
+      return res.status(403).json({ 
+        error: 'Only the registered user can choose sessions' 
+      });
+    }
+    
+    // Not for cancelled events or once the event has started
+    const event = await Event.findById(existingRegistration.eventId);
+    const registrationState = event ? event.getRegistrationState() : null;
+    if (!registrationState || ['cancelled', 'started'].includes(registrationState.status)) {
+      return res.status(400).json({ 
+        error: registrationState ? registrationState.reason : 'Event not found' 
+      });
+    }
+    
+    const { registration, status, ...rejection } = await Registration.chooseSessions(
+      existingRegistration, 
+      event, 
+      sessionIds
+    );
+    
+    if (!registration) {
+      return res.status(status).json(rejection);
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: 'Sessions saved successfully',
+      registration: registration,
+      sessions: registration.sessionIds.map((id) => event.getSession(id))
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error choosing sessions',
+      details: error.message 
+    });
+  }
+});
+
+// PUT /registrations/:id/status - Change the status of a registration
+// Used by the organizer (or an admin) after the event, e.g. to mark attendees as 'no-show'
+// Example body: { "status": "no-show", "reason": "Did not show up" }
+// Allowed changes: confirmed -> cancelled / attended / no-show, waitlisted or pending -> cancelled,
+// attended <-> no-show (corrections)
+// Cancelled paid tickets are refunded
+router.put('/registrations/:id/status', requireAuth, async (req, res) => {
+  try {
+    const { status: newStatus, reason } = req.body;
+    
+    // Find the registration
+    const existingRegistration = mongoose.isValidObjectId(req.params.id) 
+      ? await Registration.findById(req.params.id) 
+      : null;
+    
+    // If registration not found, send 404 error
+    if (!existingRegistration) {
+      return res.status(404).json({ 
+        error: 'Registration not found' 
+      });
+    }
+    
+    // Only the people managing the event can change statuses
+    // (attendees cancel with DELETE /registrations/:id)
+    const event = await Event.findById(existingRegistration.eventId);
+    const isEventManager = event ? event.isManagedBy(req.user) : req.user.role === 'admin';
+    
+    if (!isEventManager) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to change this registration',
+        reason: 'Only the event organizer or an admin can change the status of a registration'
+      });
+    }
+    
+    // Change the status and record it in the history
+    const { registration, promoted, status, error } = await Registration.changeStatus(
+      existingRegistration, 
+      newStatus, 
+      { by: req.user._id, reason: typeof reason === 'string' ? reason : undefined }
+    );
+    
+    if (!registration) {
+      return res.status(status).json({ error });
+    }
+    
+    // A cancellation is refunded and emailed like one through DELETE /registrations/:id
+    let updatedRegistration = registration;
+    if (newStatus === 'cancelled') {
+      updatedRegistration = await settlePayment(registration);
+      if (event) {
+        notifyRegistrationChange(updatedRegistration, event, req.user, promoted);
+      }
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: `Registration status changed to ${registration.status}`,
+      registration: updatedRegistration,
+      promotedRegistration: promoted
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error changing registration status',
+      details: error.message 
+    });
+  }
+});
+
+// Largest number of registrations approved or rejected in one request
+const MAX_DECISIONS = 100;
+
+// Check the optional message to the attendee of an approval or rejection
+// Returns { message } (null if there is none), or { error }
+const checkDecisionMessage = (message) => {
+  if (message === undefined || message === null || message === '') {
+    return { message: null };
+  }
+  if (typeof message !== 'string' || message.length > 1000) {
+    return { error: 'Message must be a text of at most 1000 characters' };
+  }
+  return { message: message.trim() || null };
+};
+
+// Approve or reject one registration that is waiting for approval
+// decision - 'approve' or 'reject'
+// Approved paid tickets start their checkout, so the attendee can pay with POST /registrations/:id/pay
+// The attendee gets an email with the decision (not awaited, see POST /register)
+// Returns { registration }, or { status, error }
+const decideRegistration = async (registrationId, decision, currentUser, message) => {
+  const existingRegistration = mongoose.isValidObjectId(registrationId) 
+    ? await Registration.findById(registrationId) 
+    : null;
+  if (!existingRegistration) {
+    return { status: 404, error: 'Registration not found' };
+  }
+  
+  // Only the people managing the event can decide
+  const event = await Event.findById(existingRegistration.eventId);
+  if (!event || !event.isManagedBy(currentUser)) {
+    return { status: 403, error: 'Only the event organizer or an admin can approve or reject registrations' };
+  }
+  
+  const options = { by: currentUser._id, message };
+  const result = decision === 'approve'
+    ? await Registration.approve(existingRegistration, event, options)
+    : await Registration.reject(existingRegistration, options);
+  if (!result.registration) {
+    return result;
+  }
+  
+  let registration = result.registration;
+  if (registration.status === 'pending') {
+    const checkout = await startCheckout(registration, event);
+    if (!checkout.registration) {
+      return checkout;
+    }
+    registration = checkout.registration;
+  }
+  
+  const attendee = await User.findById(registration.userId);
+  if (attendee) {
+    notify(decision === 'approve' ? 'registrationApproved' : 'registrationRejected', { 
+      user: attendee, 
+      event, 
+      registration 
+    });
+  }
+  
+  return { registration };
+};
+
+// Route handler for one registration: POST /registrations/:id/approve and /reject
+const decideOne = (decision) => async (req, res) => {
+  try {
+    const { message, error: messageError } = checkDecisionMessage(req.body && req.body.message);
+    if (messageError) {
+      return res.status(400).json({ 
+        error: messageError 
+      });
+    }
+    
+    const { registration, status, error } = await decideRegistration(req.params.id, decision, req.user, message);
+    if (!registration) {
+      return res.status(status).json({ error });
+    }
+    
+    let responseMessage = decision === 'approve' ? 'Registration approved' : 'Registration rejected';
+    
+    // An approval at full price (the promo code could no longer be used) says so
+    if (decision === 'approve' && registration.approval.promoCodeError) {
+      responseMessage = `Registration approved at full price - the promo code could not be used: ${registration.approval.promoCodeError}`;
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: responseMessage,
+      registration: registration
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: `Error trying to ${decision} registration`,
+      details: error.message 
+    });
+  }
+};
+
+// Route handler for many registrations: POST /registrations/approve and /reject
+// Every registration is decided on its own - one that can not be decided does not stop the others
+const decideMany = (decision) => async (req, res) => {
+  try {
+    const { registrationIds } = req.body;
+    
+    if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+      return res.status(400).json({ 
+        error: 'Please provide a list of registrationIds' 
+      });
+    }
+    if (registrationIds.length > MAX_DECISIONS) {
+      return res.status(400).json({ 
+        error: `At most ${MAX_DECISIONS} registrations can be decided at once` 
+      });
+    }
+    
+    const { message, error: messageError } = checkDecisionMessage(req.body.message);
+    if (messageError) {
+      return res.status(400).json({ 
+        error: messageError 
+      });
+    }
+    
+    // One result per registration, in the order they were sent
+    const results = [];
+    for (const registrationId of new Set(registrationIds.map(String))) {
+      const { registration, error } = await decideRegistration(registrationId, decision, req.user, message);
+      results.push(registration 
+        ? { registrationId, status: registration.status, promoCodeError: registration.approval && registration.approval.promoCodeError } 
+        : { registrationId, error });
+    }
+    
+    const decided = results.filter((result) => !result.error).length;
+    
+    // Send success response with one result per registration
+    res.status(200).json({
+      message: `${decided} of ${results.length} registrations ${decision === 'approve' ? 'approved' : 'rejected'}`,
+      decided: decided,
+      failed: results.length - decided,
+      results: results
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: `Error trying to ${decision} registrations`,
+      details: error.message 
+    });
+  }
+};
+
+// POST /registrations/:id/approve - Approve a registration for an event that requires approval
+// The registration takes a seat (or goes on the waitlist); paid tickets wait for the payment
+// Returns 409 if the event or the ticket type is sold out in the meantime (the registration keeps waiting)
+// If the promo code expired or was used up in the meantime, it is approved at full price (see Registration.approve)
+// Optional body: { "message": "Welcome aboard!" }
+// Only the event organizer or an admin can approve
+router.post('/registrations/:id/approve', requireAuth, decideOne('approve'));
+
+// POST /registrations/:id/reject - Reject a registration for an event that requires approval
+// The registration is cancelled
+// Optional body: { "message": "Sorry, this session is for partners only" }
+// Only the event organizer or an admin can reject
+router.post('/registrations/:id/reject', requireAuth, decideOne('reject'));
+
+// POST /registrations/approve - Approve many registrations at once
+// Example body: { "registrationIds": ["...", "..."], "message": "Welcome aboard!" }
+// Returns one result per registration - { registrationId, status } or { registrationId, error }
+router.post('/registrations/approve', requireAuth, decideMany('approve'));
+
+// POST /registrations/reject - Reject many registrations at once
+// Example body: { "registrationIds": ["...", "..."], "message": "Sorry, the session is full" }
+router.post('/registrations/reject', requireAuth, decideMany('reject'));
+
 module.exports = router;
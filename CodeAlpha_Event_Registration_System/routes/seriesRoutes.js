@@ -0,0 +1,597 @@
+// routes/seriesRoutes.js - This file handles all endpoints for recurring event series
+// A series generates one Event per occurrence, and attendees register for each occurrence individually
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const EventSeries = require('../models/EventSeries');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { generateOccurrences } = require('../utils/recurrence');
+const { validateAnswers } = require('../utils/registrationForm');
+const { notify, notifyPromoted, notifyEventChanged } = require('../notifications');
+const { scheduleReminders } = require('../notifications/reminders');
+
+// Fields that can be changed on the occurrences of a series (the same as PUT /events/:id)
+const OCCURRENCE_FIELDS = [
+  'title', 'description', 'date', 'endDate', 'timezone',
+  'format', 'venue', 'onlineMeetingUrl', 'reminderOffsets', 
+  'registrationQuestions', 'capacity',
+  'registrationOpensAt', 'registrationClosesAt', 'cancellationDeadline', 'requiresApproval',
+  'ticketTypes', 'currency', 'sessions'
+];
+
+// Points in time of an occurrence that move along with it, e.g. registration that closes
+// a day before the first occurrence closes a day before every occurrence
+const SHIFTED_FIELDS = ['registrationOpensAt', 'registrationClosesAt', 'cancellationDeadline'];
+
+// The same for the sale windows of ticket types and the times of sessions
+const TICKET_TYPE_TIMES = ['salesStartAt', 'salesEndAt'];
+const SESSION_TIMES = ['startsAt', 'endsAt'];
+
+// Move a date by a number of milliseconds
+// Empty values stay empty, and invalid dates are left for the schema to reject
+const shiftDate = (value, shift) => {
+  if (value === null || value === undefined || value === '') return value;
+  
+  const date = new Date(value);
+  return isNaN(date) ? value : new Date(date.getTime() + shift);
+};
+
+// Copy a list of ticket types or sessions to another occurrence, with its times moved by shift
+// The list was written for the occurrence "from" - entries with the _id of one of its ticket types (or sessions)
+// get the _id of the one at the same place in "to", so the sold tickets (or chosen sessions) of "to" are kept
+const copyToOccurrence = (list, times, shift, from = [], to = []) => {
+  if (!Array.isArray(list)) return list;
+  
+  return list.map((entry) => {
+    if (!entry || typeof entry !== 'object') return entry;
+    
+    const copy = { ...entry };
+    times.forEach((field) => {
+      if (copy[field] !== undefined) copy[field] = shiftDate(copy[field], shift);
+    });
+    
+    if (copy._id !== undefined) {
+      const index = from.findIndex((existing) => String(existing._id) === String(copy._id));
+      if (index === -1 || !to[index]) {
+        delete copy._id;
+      } else {
+        copy._id = to[index]._id;
+      }
+    }
+    return copy;
+  });
+};
+
+// POST /series - Create a recurring event series
+// This endpoint creates the series and one event for every occurrence
+// Example body:
+// {
+//   "title": "JavaScript Meetup", "description": "...",
+//   "startDate": "2025-03-13T18:00:00", "timezone": "Europe/Berlin", "durationMinutes": 120,
+//   "recurrence": { "frequency": "weekly", "interval": 2, "count": 10 },
+//   "exceptions": ["2025-04-10"], "capacity": 40
+// }
+// The other event fields (ticket types, sessions, registration window, ...) are the same as for POST /events
+// Their times are given for the first occurrence (startDate) and move along with every later occurrence
+router.post('/', requireAuth, requireRole('organizer', 'admin'), async (req, res) => {
+  try {
+    // Get series data from request body
+    const { 
+      title, description, startDate, durationMinutes, timezone, 
+      recurrence, exceptions, format, venue, onlineMeetingUrl, reminderOffsets, 
+      registrationQuestions, capacity,
+      registrationOpensAt, registrationClosesAt, cancellationDeadline, requiresApproval, ticketTypes, currency, sessions 
+    } = req.body;
+    
+    // Create the series object and check it (including the recurrence rule)
+    const series = new EventSeries({
+      title,
+      description,
+      startDate,
+      durationMinutes,
+      timezone,
+      recurrence,
+      exceptions,
+      organizer: req.user._id
+    });
+    await series.validate();
+    
+    // Work out the dates of all occurrences
+    const dates = generateOccurrences(
+      series.startDate,
+      series.recurrence.toObject(),
+      series.exceptions,
+      series.timezone
+    );
+    
+    if (dates.length === 0) {
+      return res.status(400).json({ 
+        error: 'The recurrence rule does not produce any occurrences' 
+      });
+    }
+    
+    // Build one event per occurrence, all with the same details
+    const occurrences = [];
+    for (const date of dates) {
+      // How far this occurrence is from the first one
+      const shift = date.getTime() - series.startDate.getTime();
+      
+      const occurrence = new Event({
+        title: series.title,
+        description: series.description,
+        date: date,
+        endDate: series.durationMinutes 
+          ? new Date(date.getTime() + series.durationMinutes * 60 * 1000) 
+          : null,
+        timezone: series.timezone,
+        format,
+        venue,
+        onlineMeetingUrl,
+        reminderOffsets,
+        registrationQuestions,
+        capacity,
+        registrationOpensAt: shiftDate(registrationOpensAt, shift),
+        registrationClosesAt: shiftDate(registrationClosesAt, shift),
+        cancellationDeadline: shiftDate(cancellationDeadline, shift),
+        requiresApproval,
+        currency,
+        organizer: req.user._id,
+        series: series._id
+      });
+      
+      // Add the ticket types and sessions like POST /events does (nothing is sold or chosen yet)
+      if (ticketTypes !== undefined) {
+        const merged = occurrence.mergeTicketTypes(copyToOccurrence(ticketTypes, TICKET_TYPE_TIMES, shift));
+        if (merged.error) {
+          return res.status(400).json({ 
+            error: 'Invalid series data',
+            details: merged.error 
+          });
+        }
+        occurrence.ticketTypes = merged.ticketTypes;
+      }
+      if (sessions !== undefined) {
+        const merged = occurrence.mergeSessions(copyToOccurrence(sessions, SESSION_TIMES, shift));
+        if (merged.error) {
+          return res.status(400).json({ 
+            error: 'Invalid series data',
+            details: merged.error 
+          });
+        }
+        occurrence.sessions = merged.sessions;
+      }
+      
+      occurrences.push(occurrence);
+    }
+    
+    // Check all occurrences before saving anything
+    await Promise.all(occurrences.map((occurrence) => occurrence.validate()));
+    
+    // Save the series and its occurrences
+    await series.save();
+    await Event.insertMany(occurrences);
+    
+    // Plan the reminder emails of every occurrence
+    for (const occurrence of occurrences) {
+      await scheduleReminders(occurrence);
+    }
+    
+    // Send success response
+    res.status(201).json({
+      message: 'Event series created successfully',
+      series: series,
+      count: occurrences.length,
+      occurrences: occurrences
+    });
+    
+  } catch (error) {
+    // Invalid values (e.g. a broken recurrence rule) are the client's fault
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Invalid series data',
+        details: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error creating event series',
+      details: error.message 
+    });
+  }
+});
+
+// GET /series/:id - Get a series with all its occurrences
+router.get('/:id', async (req, res) => {
+  try {
+    // Find the series by ID
+    const series = await EventSeries.findById(req.params.id);
+    
+    // If series not found, send 404 error
+    if (!series) {
+      return res.status(404).json({ 
+        error: 'Event series not found' 
+      });
+    }
+    
+    // Find all occurrences in date order
+    const occurrences = await Event.find({ series: series._id }).sort({ date: 1 });
+    
+    // Send the series details
+    res.status(200).json({
+      message: 'Event series retrieved successfully',
+      series: series,
+      count: occurrences.length,
+      occurrences: occurrences
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching event series',
+      details: error.message 
+    });
+  }
+});
+
+// POST /series/:id/register - Register the logged in user for all upcoming occurrences
+// Each occurrence gets its own registration (confirmed or waitlisted,
+// or pending for occurrences that require the organizer's approval)
+// Occurrences the user is already registered for are skipped
+// Answers to the registration questions are sent as { "answers": { ... } } and used for every occurrence
+router.post('/:id/register', requireAuth, async (req, res) => {
+  try {
+    // Find the series by ID
+    const series = await EventSeries.findById(req.params.id);
+    
+    // If series not found, send 404 error
+    if (!series) {
+      return res.status(404).json({ 
+        error: 'Event series not found' 
+      });
+    }
+    
+    // Find all upcoming occurrences that are still going ahead
+    const upcoming = await Event.find({
+      series: series._id,
+      status: 'scheduled',
+      date: { $gte: new Date() }
+    }).sort({ date: 1 });
+    
+    if (upcoming.length === 0) {
+      return res.status(400).json({ 
+        error: 'This series has no upcoming occurrences' 
+      });
+    }
+    
+    // Occurrences whose registration window is not open are skipped (and reported)
+    const closed = upcoming.filter((occurrence) => !occurrence.getRegistrationState().open);
+    const open = upcoming.filter((occurrence) => occurrence.getRegistrationState().open);
+    
+    // Check the answers against the questions of every occurrence before registering for any
+    const answersByOccurrence = new Map();
+    for (const occurrence of open) {
+      const { answers, errors } = validateAnswers(occurrence.registrationQuestions, req.body.answers);
+      if (errors) {
+        return res.status(400).json({ 
+          error: 'Invalid answers to the registration questions',
+          eventId: occurrence._id,
+          details: errors 
+        });
+      }
+      answersByOccurrence.set(occurrence._id.toString(), answers);
+    }
+    
+    // Register for each occurrence one by one and remember the result
+    const results = closed.map((occurrence) => ({
+      eventId: occurrence._id,
+      date: occurrence.date,
+      status: 'registration-closed',
+      reason: occurrence.getRegistrationState().reason
+    }));
+    for (const occurrence of open) {
+      // Occurrences with ticket types get their free ticket - paid tickets have to be bought one by one
+      const ticketType = occurrence.ticketTypes.find((type) => type.price === 0 && type.getSaleState().onSale) || null;
+      if (occurrence.ticketTypes.length > 0 && !ticketType) {
+        results.push({
+          eventId: occurrence._id,
+          date: occurrence.date,
+          status: 'ticket-required',
+          reason: 'This date has no free tickets - please buy a ticket for it separately'
+        });
+        continue;
+      }
+      
+      try {
+        const register = occurrence.requiresApproval ? 'requestApproval' : 'registerUser';
+        const registration = await Registration[register](
+          req.user._id, 
+          occurrence._id, 
+          answersByOccurrence.get(occurrence._id.toString()),
+          req.user._id,
+          ticketType
+        );
+        
+        // Confirmation email for this occurrence - not awaited, see POST /register
+        const emails = { 
+          confirmed: 'registrationConfirmed', 
+          waitlisted: 'registrationWaitlisted', 
+          pending: 'registrationPendingApproval' 
+        };
+        notify(emails[registration.status], {
+          user: req.user,
+          event: occurrence,
+          registration
+        });
+        
+        results.push({
+          eventId: occurrence._id,
+          date: occurrence.date,
+          status: registration.status,
+          registration: registration
+        });
+      } catch (error) {
+        // The free tickets of this date are gone
+        if (error.status === 409) {
+          results.push({
+            eventId: occurrence._id,
+            date: occurrence.date,
+            status: 'sold-out',
+            reason: error.message
+          });
+          continue;
+        }
+        
+        // 11000 is MongoDB's duplicate key error code - the user was already registered
+        if (error.code !== 11000) throw error;
+        results.push({
+          eventId: occurrence._id,
+          date: occurrence.date,
+          status: 'already-registered'
+        });
+      }
+    }
+    
+    // Send success response with one result per occurrence
+    res.status(201).json({
+      message: 'Registered for all upcoming occurrences',
+      confirmed: results.filter((result) => result.status === 'confirmed').length,
+      waitlisted: results.filter((result) => result.status === 'waitlisted').length,
+      awaitingApproval: results.filter((result) => result.status === 'pending').length,
+      alreadyRegistered: results.filter((result) => result.status === 'already-registered').length,
+      registrationClosed: closed.length,
+      ticketRequired: results.filter((result) => result.status === 'ticket-required').length,
+      soldOut: results.filter((result) => result.status === 'sold-out').length,
+      results: results.sort((a, b) => a.date - b.date)
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error registering for event series',
+      details: error.message 
+    });
+  }
+});
+
+// PUT /series/:id/occurrences/:eventId - Edit an occurrence of a series
+// The "scope" in the body decides which occurrences change:
+//   "this" - only this occurrence (default)
+//   "future" - this occurrence and all later ones
+// When the date changes with scope "future", every later occurrence is moved by the same amount of time
+// The occurrences are changed together: if one of them can not be changed, none of them is
+router.put('/:id/occurrences/:eventId', requireAuth, async (req, res) => {
+  try {
+    const scope = req.body.scope || 'this';
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({ 
+        error: 'Scope must be "this" or "future"' 
+      });
+    }
+    
+    // Find the series and the occurrence
+    const series = await EventSeries.findById(req.params.id);
+    const occurrence = await Event.findOne({ _id: req.params.eventId, series: req.params.id });
+    
+    if (!series || !occurrence) {
+      return res.status(404).json({ 
+        error: 'Occurrence not found in this series' 
+      });
+    }
+    
+    // Check if the logged in user may edit this series
+    if (!series.isManagedBy(req.user)) {
+      return res.status(403).json({ 
+        error: 'You are not allowed to edit this series',
+        reason: 'Only the series organizer or an admin can edit a series'
+      });
+    }
+    
+    // Cancelled occurrences can not be edited anymore
+    if (occurrence.status === 'cancelled') {
+      return res.status(400).json({ 
+        error: 'Cancelled occurrences can not be edited' 
+      });
+    }
+    
+    // Only these fields can be changed - everything else is managed by the server
+    const updates = {};
+    OCCURRENCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    
+    // Work out how far the occurrences move in time
+    const newDate = updates.date ? new Date(updates.date) : occurrence.date;
+    const newEndDate = updates.endDate ? new Date(updates.endDate) : null;
+    if (isNaN(newDate) || (updates.endDate && isNaN(newEndDate))) {
+      return res.status(400).json({ 
+        error: 'Invalid date' 
+      });
+    }
+    const dateShift = newDate.getTime() - occurrence.date.getTime();
+    const duration = newEndDate ? newEndDate.getTime() - newDate.getTime() : null;
+    
+    // The changes for one of the occurrences
+    // Points in time move along with it: a time set on the edited occurrence lands at the same
+    // distance from every later occurrence
+    // Returns { updates }, or { error } if its ticket types or sessions can not be changed like this
+    const updatesFor = (target) => {
+      const shift = target.date.getTime() - occurrence.date.getTime();
+      const targetUpdates = { ...updates };
+      
+      // Move the date (and end date) by the same amount as the edited occurrence
+      if (updates.date || updates.endDate) {
+        targetUpdates.date = new Date(target.date.getTime() + dateShift);
+        if (duration !== null) {
+          targetUpdates.endDate = new Date(targetUpdates.date.getTime() + duration);
+        } else if (target.endDate) {
+          targetUpdates.endDate = new Date(target.endDate.getTime() + dateShift);
+        }
+      }
+      
+      SHIFTED_FIELDS.forEach((field) => {
+        if (updates[field] !== undefined) {
+          targetUpdates[field] = shiftDate(updates[field], shift);
+        }
+      });
+      
+      // Ticket types and sessions are merged into the occurrence's own ones, like PUT /events/:id does
+      if (updates.ticketTypes !== undefined) {
+        const merged = target.mergeTicketTypes(copyToOccurrence(
+          updates.ticketTypes, TICKET_TYPE_TIMES, shift, occurrence.ticketTypes, target.ticketTypes
+        ));
+        if (merged.error) return { error: merged.error };
+        targetUpdates.ticketTypes = merged.ticketTypes;
+      }
+      if (updates.sessions !== undefined) {
+        const merged = target.mergeSessions(copyToOccurrence(
+          updates.sessions, SESSION_TIMES, shift, occurrence.sessions, target.sessions
+        ));
+        if (merged.error) return { error: merged.error };
+        targetUpdates.sessions = merged.sessions;
+      }
+      
+      return { updates: targetUpdates };
+    };
+    
+    // Update all occurrences in a single MongoDB transaction - all or nothing:
+    // if one of them can not be changed, none of them is and the reason is sent back
+    // Note: transactions need MongoDB to run as a replica set (like group registrations)
+    let changes = [];
+    const session = await mongoose.startSession();
+    try {
+      // withTransaction retries the whole function on temporary errors (e.g. a write conflict),
+      // so everything inside must be safe to run again
+      await session.withTransaction(async () => {
+        changes = [];
+        
+        // Find the occurrences to change
+        const targets = await Event.find(scope === 'this' 
+          ? { _id: occurrence._id } 
+          : { series: series._id, status: 'scheduled', date: { $gte: occurrence.date } }
+        ).sort({ date: 1 }).session(session);
+        
+        for (const target of targets) {
+          const { updates: targetUpdates, error: mergeError } = updatesFor(target);
+          if (mergeError) {
+            const error = new Error(mergeError);
+            error.status = 400;
+            error.eventId = target._id;
+            throw error;
+          }
+          
+          const before = target.toObject();
+          const updatedEvent = await Event.applyUpdates(target, targetUpdates, session);
+          
+          if (!updatedEvent) {
+            const current = await Event.findById(target._id).session(session);
+            
+            if (targetUpdates.capacity && current && current.seatsTaken > targetUpdates.capacity) {
+              const error = new Error('Capacity can not be lower than the number of confirmed attendees');
+              error.status = 400;
+              error.eventId = target._id;
+              error.seatsTaken = current.seatsTaken;
+              throw error;
+            }
+            
+            // Tickets were sold (or sessions chosen) while they were being changed - the client has to reload
+            const error = new Error('Tickets were sold or sessions chosen while you were editing - please reload the series and try again');
+            error.status = 409;
+            error.eventId = target._id;
+            throw error;
+          }
+          
+          changes.push({ before, updatedEvent, fields: Object.keys(targetUpdates) });
+        }
+        
+        // Keep the series details in line with its future occurrences
+        if (scope === 'future') {
+          ['title', 'description', 'timezone'].forEach((field) => {
+            if (updates[field] !== undefined) series[field] = updates[field];
+          });
+          await series.save({ session });
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+    
+    // Everything is saved - now fill the seats, move the reminders and email the attendees
+    const results = [];
+    for (const { before, updatedEvent, fields } of changes) {
+      // If the capacity grew, move waitlisted attendees into the new seats
+      const promotedRegistrations = await Registration.fillFreeSeats(updatedEvent._id);
+      
+      // Move the reminders if the date or the reminder settings changed
+      await scheduleReminders(updatedEvent);
+      
+      // Email the attendees of this occurrence - not awaited, see PUT /events/:id
+      notifyEventChanged(before, updatedEvent, fields);
+      notifyPromoted(promotedRegistrations, updatedEvent);
+      
+      results.push({
+        eventId: updatedEvent._id,
+        updated: true,
+        event: updatedEvent,
+        promotedRegistrations: promotedRegistrations
+      });
+    }
+    
+    // Send success response
+    res.status(200).json({
+      message: scope === 'this' 
+        ? 'Occurrence updated successfully' 
+        : 'This and all future occurrences updated successfully',
+      scope: scope,
+      updated: results.filter((result) => result.updated).length,
+      results: results
+    });
+    
+  } catch (error) {
+    // One of the occurrences could not be changed - nothing was saved
+    if (error.status) {
+      return res.status(error.status).json({ 
+        error: error.message,
+        eventId: error.eventId,
+        seatsTaken: error.seatsTaken 
+      });
+    }
+    
+    // Invalid values (e.g. a negative capacity) are the client's fault
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        error: 'Invalid event data',
+        details: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error updating occurrence',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// routes/statsRoutes.js - This file handles the statistics endpoints for admins
+// Statistics of a single event are at GET /events/:id/stats (see routes/eventRoutes.js)
+
+const express = require('express');
+const router = express.Router();
+const Registration = require('../models/Registration');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// Most events listed in one summary
+const MAX_SUMMARY_EVENTS = 200;
+
+// GET /stats - Summary of the registrations over all events
+// Only admins can see it
+// Returns the totals over all events (with cancellation and check-in rates) and the numbers per event
+// Optional query:
+//   ?from=2025-01-01&to=2025-12-31 - only events taking place between these dates
+//   ?limit=50 - how many events to list (most recent first, the totals always cover all events)
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+    
+    // Check the date filters
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ 
+        error: 'from and to must be valid dates' 
+      });
+    }
+    
+    // Check the limit
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUMMARY_EVENTS) {
+      return res.status(400).json({ 
+        error: `limit must be a number between 1 and ${MAX_SUMMARY_EVENTS}` 
+      });
+    }
+    
+    const summary = await Registration.getSummary({ from: fromDate, to: toDate, limit });
+    
+    // Send success response
+    res.status(200).json(summary);
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching statistics',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
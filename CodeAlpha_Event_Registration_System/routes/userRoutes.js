@@ -3,13 +3,34 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { generateToken, requireAuth, requireRole } = require('../middleware/auth');
+const csv = require('../utils/csv');
+const { notifyPromoted } = require('../notifications');
+const { settleCancelledPayments } = require('../payments');
 
-// POST /users - Create a new user
+// POST /users - Create a new user (sign up)
 // This endpoint allows us to add a new user to the database
+// The response includes a token, so the user is logged in right away
 router.post('/', async (req, res) => {
   try {
     // Get user data from request body
-    const { name, email } = req.body;
+    const { name, email, password } = req.body;
+    
+    // Only plain text - objects (e.g. { "$ne": null }) must never reach the query
+    if (typeof name !== 'string' || typeof email !== 'string' || !name.trim() || !email.trim()) {
+      return res.status(400).json({ 
+        error: 'Name and email are required' 
+      });
+    }
+    
+    // Check that a strong enough password was given
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ 
+        error: 'Password must be at least 8 characters long' 
+      });
+    }
     
     // Check if user with this email already exists
     const existingUser = await User.findOne({ email });
@@ -20,9 +41,11 @@ router.post('/', async (req, res) => {
     }
     
     // Create a new user object
+    // The password is hashed automatically before saving (see models/User.js)
     const user = new User({
       name,
-      email
+      email,
+      password
     });
     
     // Save the user to database
@@ -31,7 +54,8 @@ router.post('/', async (req, res) => {
     // Send success response
     res.status(201).json({
       message: 'User created successfully',
-      user: user
+      user: user,
+      token: generateToken(user)
     });
     
   } catch (error) {
@@ -43,4 +67,510 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Largest number of users that can be imported from one file
+const MAX_IMPORT_ROWS = 1000;
+
+// Simple email format check - something@something.something
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// POST /users/import - Create many users at once from a CSV file
+// Only admins can import users
+// Send the file as the request body with Content-Type: text/csv
+// Columns: name, email, role (optional, default attendee), password (optional)
+// Users without a password can not log in until they set one with POST /auth/forgot-password
+// Rows with invalid data or an email that already exists are skipped and reported, the others are created
+// Add ?dryRun=true to only check the file without creating anybody
+router.post('/import', requireAuth, requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ 
+        error: 'Please send a CSV file with Content-Type: text/csv' 
+      });
+    }
+    
+    const rows = csv.parseWithHeader(req.body);
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ 
+        error: 'The CSV file has no users - the first line must be a header, e.g. "name,email,role"' 
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ 
+        error: `A file can have at most ${MAX_IMPORT_ROWS} users` 
+      });
+    }
+    if (!('name' in rows[0]) || !('email' in rows[0])) {
+      return res.status(400).json({ 
+        error: 'The CSV file needs a "name" and an "email" column' 
+      });
+    }
+    
+    const dryRun = req.query.dryRun === 'true';
+    const allowedRoles = User.schema.path('role').enumValues;
+    
+    // Emails that are already taken
+    const emails = rows.map((row) => row.email.toLowerCase());
+    const existingUsers = await User.find({ email: { $in: emails } }).select('email');
+    const existingEmails = new Set(existingUsers.map((user) => user.email));
+    
+    // Check every row and create the valid ones
+    const results = [];
+    const firstRowOfEmail = new Map();
+    for (const row of rows) {
+      const email = row.email.toLowerCase();
+      const result = { row: row._row, email };
+      results.push(result);
+      
+      // Check the values of the row
+      const problems = [];
+      if (!row.name) problems.push('name is required');
+      if (!EMAIL_PATTERN.test(email)) problems.push('email is not valid');
+      if (row.role && !allowedRoles.includes(row.role)) problems.push(`role must be one of: ${allowedRoles.join(', ')}`);
+      if (row.password && row.password.length < 8) problems.push('password must be at least 8 characters long');
+      
+      if (problems.length > 0) {
+        result.status = 'invalid';
+        result.error = problems.join(', ');
+        continue;
+      }
+      
+      // Duplicate emails - already registered, or earlier in the same file
+      if (existingEmails.has(email)) {
+        result.status = 'duplicate';
+        result.error = 'A user with this email already exists';
+        continue;
+      }
+      if (firstRowOfEmail.has(email)) {
+        result.status = 'duplicate';
+        result.error = `Same email as row ${firstRowOfEmail.get(email)}`;
+        continue;
+      }
+      firstRowOfEmail.set(email, row._row);
+      
+      if (dryRun) {
+        result.status = 'valid';
+        continue;
+      }
+      
+      // Create the user - the password is hashed automatically (see models/User.js)
+      try {
+        const user = await User.create({
+          name: row.name,
+          email,
+          role: row.role || 'attendee',
+          password: row.password || undefined
+        });
+        result.status = 'created';
+        result.userId = user._id;
+      } catch (error) {
+        // 11000 is MongoDB's duplicate key error code - the user signed up in the meantime
+        result.status = error.code === 11000 ? 'duplicate' : 'invalid';
+        result.error = error.code === 11000 ? 'A user with this email already exists' : error.message;
+      }
+    }
+    
+    // Count the results per status
+    const count = (status) => results.filter((result) => result.status === status).length;
+    
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'CSV file checked - no users were created' : 'Users imported',
+      created: count('created'),
+      valid: dryRun ? count('valid') : undefined,
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      results: results
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error importing users',
+      details: error.message 
+    });
+  }
+});
+
+// PUT /users/:id/role - Change a user's role
+// Only admins can promote users to organizer or admin
+// New users always start as 'attendee', so nobody can give themselves a role on sign up
+router.put('/:id/role', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    // Check that the role is one of the allowed values
+    const allowedRoles = User.schema.path('role').enumValues;
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({ 
+        error: `Role must be one of: ${allowedRoles.join(', ')}` 
+      });
+    }
+    
+    const existingUser = await User.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!existingUser) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+    
+    // Somebody has to stay able to manage everything (like DELETE /users/:id)
+    if (existingUser.role === 'admin' && role !== 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+      return res.status(409).json({ 
+        error: 'The last admin can not be given another role' 
+      });
+    }
+    
+    // Update the user's role
+    const user = await User.findByIdAndUpdate(
+      existingUser._id,
+      { role },
+      { new: true }
+    );
+    
+    res.status(200).json({
+      message: 'User role updated successfully',
+      user: user
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error updating user role',
+      details: error.message 
+    });
+  }
+});
+
+// Users may see and change their own account, admins may see and change every account
+const canAccessUser = (currentUser, userId) => {
+  return currentUser.role === 'admin' || currentUser._id.equals(userId);
+};
+
+// Escape special characters so user input can be used safely inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Default and largest number of users per page in GET /users
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// GET /users - Get a list of users
+// Only admins can list users
+// Optional query:
+//   search - text to look for in the name and email
+//   role - only users with this role
+//   page, limit - which page to return and how many users per page
+// Example: GET /users?search=john&role=organizer&page=2
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { search, role } = req.query;
+    // Deleted (anonymised) accounts are not listed
+    const filter = { deletedAt: null };
+    
+    // Text search over name and email (case insensitive)
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    
+    // Only one role
+    if (role) {
+      const allowedRoles = User.schema.path('role').enumValues;
+      if (!allowedRoles.includes(role)) {
+        return res.status(400).json({ 
+          error: `Role must be one of: ${allowedRoles.join(', ')}` 
+        });
+      }
+      filter.role = role;
+    }
+    
+    // Pagination - page numbers start at 1
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ 
+        error: '"page" must be a positive whole number' 
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ 
+        error: `"limit" must be a whole number between 1 and ${MAX_PAGE_SIZE}` 
+      });
+    }
+    
+    // Find one page of matching users (alphabetically) and the total number of matches
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ name: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+    
+    const totalPages = Math.ceil(total / limit);
+    
+    // Send the list of users with pagination info
+    res.status(200).json({
+      message: 'Users retrieved successfully',
+      count: users.length,
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: totalPages,
+      hasNextPage: page < totalPages,
+      users: users
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching users',
+      details: error.message 
+    });
+  }
+});
+
+// GET /users/:id - Get one user
+// Users can only see their own account, admins can see every account
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!canAccessUser(req.user, req.params.id)) {
+      return res.status(403).json({ 
+        error: 'You can only view your own account' 
+      });
+    }
+    
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+    
+    res.status(200).json({
+      message: 'User retrieved successfully',
+      user: user
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error fetching user',
+      details: error.message 
+    });
+  }
+});
+
+// PATCH /users/:id - Update a user's name, email or password
+// Users can only update their own account, admins can update every account
+// Example body: { "name": "Jane Doe", "email": "jane@example.com" }
+// To change your own email or password, also send your current password: { "currentPassword": "..." }
+// Roles are changed with PUT /users/:id/role
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!canAccessUser(req.user, req.params.id)) {
+      return res.status(403).json({ 
+        error: 'You can only update your own account' 
+      });
+    }
+    
+    const { name, email, password, currentPassword } = req.body;
+    
+    if ('role' in req.body) {
+      return res.status(400).json({ 
+        error: 'Roles can not be changed here - use PUT /users/:id/role' 
+      });
+    }
+    
+    // Find the user, including the password hash to check the current password
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+    
+    // Changing your own login details needs your current password,
+    // so somebody using a stolen token can not take over the account
+    const changesLogin = email !== undefined || password !== undefined;
+    if (changesLogin && req.user._id.equals(user._id)) {
+      if (typeof currentPassword !== 'string' || !currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(401).json({ 
+          error: 'Your current password is required to change your email or password' 
+        });
+      }
+    }
+    
+    // Check the new values
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ 
+          error: 'Name can not be empty' 
+        });
+      }
+      user.name = name;
+    }
+    
+    if (email !== undefined) {
+      const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+      if (!EMAIL_PATTERN.test(newEmail)) {
+        return res.status(400).json({ 
+          error: 'Email is not valid' 
+        });
+      }
+      
+      // Check that no other user has this email already
+      const existingUser = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({ 
+          error: 'User with this email already exists' 
+        });
+      }
+      user.email = newEmail;
+    }
+    
+    if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < 8) {
+        return res.status(400).json({ 
+          error: 'Password must be at least 8 characters long' 
+        });
+      }
+      // The new password is hashed automatically before saving (see models/User.js)
+      user.password = password;
+    }
+    
+    await user.save();
+    
+    res.status(200).json({
+      message: 'User updated successfully',
+      user: user
+    });
+    
+  } catch (error) {
+    // 11000 is MongoDB's duplicate key error code - somebody took the email in the meantime
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        error: 'User with this email already exists' 
+      });
+    }
+    
+    // Invalid values are the client's fault
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        error: 'Invalid user data',
+        details: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error updating user',
+      details: error.message 
+    });
+  }
+});
+
+// DELETE /users/:id - Delete a user account
+// Users can delete their own account (confirming it with { "password": "..." }), admins can delete every account
+// The user's registrations are removed too: active registrations of upcoming events are cancelled first,
+// so their seats go to the next people on the waitlist, and their paid tickets are refunded
+// Organizers of upcoming events and the last admin can not be deleted
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!canAccessUser(req.user, req.params.id)) {
+      return res.status(403).json({ 
+        error: 'You can only delete your own account' 
+      });
+    }
+    
+    // Find the user, including the password hash to check the confirmation
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+    
+    // Deleting your own account needs your password
+    if (req.user._id.equals(user._id)) {
+      const { password } = req.body || {};
+      if (typeof password !== 'string' || !password || !(await user.comparePassword(password))) {
+        return res.status(401).json({ 
+          error: 'Please confirm with your password to delete your account' 
+        });
+      }
+    }
+    
+    // Somebody has to stay able to manage everything
+    if (user.role === 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+      return res.status(409).json({ 
+        error: 'The last admin can not be deleted' 
+      });
+    }
+    
+    // Upcoming events would be left without an organizer
+    const organizedEvents = await Event.countDocuments({ 
+      organizer: user._id, 
+      status: { $ne: 'cancelled' },
+      date: { $gt: new Date() }
+    });
+    if (organizedEvents > 0) {
+      return res.status(409).json({ 
+        error: 'This user organizes upcoming events',
+        reason: `Cancel the ${organizedEvents} upcoming event(s) first`
+      });
+    }
+    
+    // Free the user's seats and refund their tickets
+    const { promoted, failed, upcomingEventIds } = await Registration.cancelAllForUser(user._id, req.user._id);
+    await settleCancelledPayments({ userId: user._id });
+    
+    // Tell the people who got a freed seat (also if the account can not be deleted below)
+    // Emails are sent in the background - the response does not wait for them
+    if (promoted.length > 0) {
+      const events = await Event.find({ _id: { $in: promoted.map((registration) => registration.eventId) } });
+      for (const event of events) {
+        notifyPromoted(promoted.filter((registration) => registration.eventId.equals(event._id)), event);
+      }
+    }
+    
+    // Keep the account while something is not settled, so it can be tried again
+    if (failed.length > 0) {
+      return res.status(409).json({ 
+        error: 'Some registrations could not be cancelled - please try again',
+        details: failed
+      });
+    }
+    const unsettledRefunds = await Registration.countDocuments({ 
+      userId: user._id, 
+      'payment.status': { $in: ['refunding', 'refund-failed'] } 
+    });
+    if (unsettledRefunds > 0) {
+      return res.status(502).json({ 
+        error: 'Some tickets could not be refunded - the account can be deleted once they are',
+        reason: `${unsettledRefunds} refund(s) did not go through`
+      });
+    }
+    
+    // Remove the registrations for upcoming events and anonymise the account
+    // Registrations of past events stay for the organizers' attendance history and statistics,
+    // and still point to the (now anonymous) user
+    const { deletedCount: removed } = await Registration.deleteMany({ 
+      userId: user._id, 
+      eventId: { $in: upcomingEventIds } 
+    });
+    await User.anonymize(user._id);
+    
+    res.status(200).json({
+      message: 'User deleted successfully',
+      removedRegistrations: removed,
+      promotedRegistrations: promoted.length
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Error deleting user',
+      details: error.message 
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,57 @@
+// scripts/create-admin.js - Creates the first admin (or makes an existing user an admin)
+// Sign-up always creates attendees and only admins can change roles, so a fresh install needs this once:
+//   ADMIN_EMAIL=you@example.com ADMIN_PASSWORD=secret123 ADMIN_NAME="Your Name" npm run create-admin
+// If a user with this email already exists, they become an admin (their password is not changed)
+// Afterwards the admin can make other users organizers or admins with PUT /users/:id/role
+//
+// Settings (environment variables):
+//   ADMIN_EMAIL - email of the admin (required)
+//   ADMIN_PASSWORD - password of a new admin, at least 8 characters (only needed if the user does not exist yet)
+//   ADMIN_NAME - name of a new admin (default "Admin")
+//   MONGODB_URI - the database to use (default: the same local database as server.js)
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/event_registration_db';
+
+const createAdmin = async () => {
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD || '';
+  const name = process.env.ADMIN_NAME || 'Admin';
+  
+  if (!email) {
+    throw new Error('Please set ADMIN_EMAIL');
+  }
+  
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Successfully connected to MongoDB database');
+  
+  try {
+    // An existing user only gets the admin role
+    const existingUser = await User.findOneAndUpdate(
+      { email, deletedAt: null },
+      { role: 'admin' },
+      { new: true }
+    );
+    if (existingUser) {
+      console.log(`✅ ${existingUser.name} (${existingUser.email}) is now an admin`);
+      return;
+    }
+    
+    if (password.length < 8) {
+      throw new Error(`There is no user with the email ${email} yet - set ADMIN_PASSWORD (at least 8 characters) to create one`);
+    }
+    
+    // The password is hashed automatically before saving (see models/User.js)
+    const user = await User.create({ name, email, password, role: 'admin' });
+    console.log(`✅ Created the admin ${user.name} (${user.email})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin().catch((error) => {
+  console.error('❌ Could not create the admin:', error.message);
+  process.exit(1);
+});
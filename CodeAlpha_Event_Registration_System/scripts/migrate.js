@@ -0,0 +1,111 @@
+// scripts/migrate.js - Brings an existing database up to date with the current models
+// Run it once after upgrading, before starting the server: npm run migrate
+// It is safe to run again - every step only changes what is not up to date yet
+//
+// Steps:
+//   1. Registrations created before registrations had a status get 'confirmed' (what they were),
+//      so the queries that filter on the status (cancelling, check-in, the waitlist) find them.
+//   2. Duplicate registrations (the same user twice for the same event) are removed, so the unique
+//      { userId, eventId } index can be created. The registration that counts is kept: an active one
+//      before a cancelled one, then the oldest.
+//   3. seatsTaken of every event is counted again from its registrations, so events created before
+//      seats were counted can not be oversold.
+//
+// Settings (environment variables):
+//   MONGODB_URI - the database to migrate (default: the same local database as server.js)
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/event_registration_db';
+
+// Registrations that hold a seat at their event (see Registration.changeStatus):
+// confirmed (and later attended or no-show), and pending checkouts - but not the ones waiting for approval
+const HOLDS_SEAT = {
+  $or: [
+    { status: { $in: ['confirmed', 'attended', 'no-show'] } },
+    { status: 'pending', 'approval.status': { $ne: 'pending' } }
+  ]
+};
+
+// Step 1 - give registrations without a status the status they had: confirmed
+const backfillStatus = async () => {
+  const result = await Registration.updateMany(
+    { $or: [{ status: { $exists: false } }, { status: null }] },
+    { $set: { status: 'confirmed' } }
+  );
+  
+  console.log(`✅ Set the status of ${result.modifiedCount} registration(s) to confirmed`);
+};
+
+// Step 2 - remove duplicate registrations and create the unique index
+const removeDuplicateRegistrations = async () => {
+  const duplicates = await Registration.aggregate([
+    { $group: { _id: { userId: '$userId', eventId: '$eventId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+  
+  let removed = 0;
+  for (const duplicate of duplicates) {
+    const registrations = await Registration.find({ _id: { $in: duplicate.ids } }).sort('registeredAt');
+    
+    // Keep the first active registration, or the oldest if all of them are cancelled
+    const keep = registrations.find((registration) => registration.status !== 'cancelled') || registrations[0];
+    const extra = registrations.filter((registration) => !registration._id.equals(keep._id));
+    
+    await Registration.deleteMany({ _id: { $in: extra.map((registration) => registration._id) } });
+    removed += extra.length;
+    console.log(`   Kept registration ${keep._id}, removed ${extra.map((registration) => registration._id).join(', ')}`);
+  }
+  
+  // Now the unique index can be built
+  await Registration.createIndexes();
+  
+  console.log(`✅ Removed ${removed} duplicate registration(s)`);
+};
+
+// Step 3 - count the seats taken at every event again
+const backfillSeatsTaken = async () => {
+  const counts = await Registration.aggregate([
+    { $match: HOLDS_SEAT },
+    { $group: { _id: '$eventId', seatsTaken: { $sum: 1 } } }
+  ]);
+  const seatsByEvent = new Map(counts.map((count) => [count._id.toString(), count.seatsTaken]));
+  
+  let updated = 0;
+  // lean() - older events may have no seatsTaken stored at all (instead of the default 0)
+  const events = await Event.find().select('seatsTaken capacity title').lean();
+  for (const event of events) {
+    const seatsTaken = seatsByEvent.get(event._id.toString()) || 0;
+    if (event.seatsTaken === seatsTaken) continue;
+    
+    // updateOne skips the validation, so events that were already overbooked are still fixed
+    await Event.updateOne({ _id: event._id }, { $set: { seatsTaken } });
+    updated++;
+    
+    if (typeof event.capacity === 'number' && seatsTaken > event.capacity) {
+      console.log(`   ⚠️ ${event.title} (${event._id}) is overbooked: ${seatsTaken} seats taken of ${event.capacity}`);
+    }
+  }
+  
+  console.log(`✅ Counted the seats of ${updated} event(s) again`);
+};
+
+const migrate = async () => {
+  await mongoose.connect(MONGODB_URI, { autoIndex: false });
+  console.log('✅ Successfully connected to MongoDB database');
+  
+  try {
+    await backfillStatus();
+    await removeDuplicateRegistrations();
+    await backfillSeatsTaken();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -6,10 +6,24 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors'); // Import CORS middleware
 
+// Import our authentication middleware
+const { authenticate } = require('./middleware/auth');
+
+// Import the scheduler that sends event reminder emails
+const { startReminderScheduler } = require('./notifications/reminders');
+
+// Import the job that cancels unpaid checkouts of paid tickets
+const { startCheckoutExpiry } = require('./payments');
+
 // Import our route files
+const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const registrationRoutes = require('./routes/registrationRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
 
 // Create an Express application
 const app = express();
@@ -18,7 +32,7 @@ const app = express();
 // This allows React frontend (port 5173) to talk to Express backend (port 3000)
 const corsOptions = {
   origin: 'http://localhost:5173', // Allow requests from React dev server
-  methods: ['GET', 'POST', 'PUT', 'DELETE'], // Allow these HTTP methods
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], // Allow these HTTP methods
   allowedHeaders: ['Content-Type', 'Authorization'], // Allow these headers
   credentials: true // Allow cookies if needed
 };
@@ -30,6 +44,10 @@ app.use(cors(corsOptions));
 // This allows us to read req.body in our routes
 app.use(express.json());
 
+// Middleware to find out who is making the request
+// If a valid token is sent in the Authorization header, req.user is the logged in user
+app.use(authenticate);
+
 // MongoDB Connection String
 // Replace 'your_database_name' with your actual database name
 const MONGODB_URI = 'mongodb://localhost:27017/event_registration_db';
@@ -38,18 +56,39 @@ const MONGODB_URI = 'mongodb://localhost:27017/event_registration_db';
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('✅ Successfully connected to MongoDB database');
+    
+    // Start sending the scheduled event reminders
+    startReminderScheduler();
+    
+    // Free the seats of checkouts that were not paid in time
+    startCheckoutExpiry();
   })
   .catch((error) => {
     console.log('❌ Error connecting to MongoDB:', error.message);
   });
 
 // Register our routes
+// Login and current user endpoints will start with /auth
+app.use('/auth', authRoutes);
+
 // All user-related endpoints will start with /users
 app.use('/users', userRoutes);
 
 // All event-related endpoints will start with /events
 app.use('/events', eventRoutes);
 
+// All recurring series endpoints will start with /series
+app.use('/series', seriesRoutes);
+
+// Personal calendar feed endpoints will start with /calendar
+app.use('/calendar', calendarRoutes);
+
+// Admin statistics endpoints will start with /stats
+app.use('/stats', statsRoutes);
+
+// Promo code endpoints will start with /promo-codes
+app.use('/promo-codes', promoCodeRoutes);
+
 // All registration-related endpoints will start with /register or /registrations
 app.use('/', registrationRoutes);
 
@@ -0,0 +1,101 @@
+// utils/csv.js - Helper functions to read and write CSV files
+// CSV (comma separated values) is what spreadsheet programs like Excel and Google Sheets import and export
+// Specification: RFC 4180 - fields containing commas, quotes or line breaks are wrapped in double quotes,
+// and double quotes inside a field are doubled ("")
+
+// Parse CSV text into a list of rows, each row a list of fields
+// Handles quoted fields, "" inside quotes, line breaks inside quotes and both CRLF and LF line endings
+const parse = (text) => {
+  // Excel adds a byte order mark at the start of UTF-8 files
+  const input = text.replace(/^\uFEFF/, '');
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';   // Escaped quote
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  // Last line without a line break at the end
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Skip empty lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Parse CSV text with a header line into a list of objects, e.g. [{ name: 'Jane', email: '...' }]
+// Header names are trimmed and lower-cased, so "Email" and " email" both become "email"
+// Each object also gets its row number as `_row` (the header is row 1), for error messages
+const parseWithHeader = (text) => {
+  const [header = [], ...rows] = parse(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  
+  return rows.map((fields, index) => {
+    const record = { _row: index + 2 };
+    columns.forEach((column, columnIndex) => {
+      record[column] = (fields[columnIndex] || '').trim();
+    });
+    return record;
+  });
+};
+
+// Turn a value into a CSV field
+// Values starting with =, +, - or @ are prefixed with ' so spreadsheet programs do not run them
+// as formulas (CSV injection)
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build CSV text from a header row and a list of rows (lists of values)
+// Uses CRLF line endings, like Excel
+const stringify = (header, rows) => {
+  return [header, ...rows]
+    .map((row) => row.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parse,
+  parseWithHeader,
+  stringify
+};
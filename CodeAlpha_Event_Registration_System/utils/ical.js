@@ -0,0 +1,124 @@
+// utils/ical.js - Helper functions to build iCalendar (.ics) files
+// iCalendar is the format calendar apps (Google Calendar, Outlook, Apple Calendar) use to import events
+// Specification: RFC 5545
+
+// Identifies our app inside the calendar file
+const PRODUCT_ID = '-//Event Registration System//Events//EN';
+
+// Domain part of event UIDs - the UID must stay the same for an event, so calendar apps can update it
+const UID_DOMAIN = 'event-registration-system';
+
+// Format a date as an iCalendar UTC date-time, e.g. 20250315T100000Z
+const formatDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Escape text values - commas, semicolons, backslashes and newlines have a special meaning
+const escapeText = (text) => {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Lines longer than 75 bytes must be split ("folded"),
+// continuation lines start with a single space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  // Go character by character, so multi-byte characters (e.g. emojis) are never cut in half
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;  // Continuation lines lose one byte to the leading space
+    
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+};
+
+// Build the lines of a single VEVENT for an event
+// options.status - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED' (defaults to the event's own status)
+// options.includeOnlineLink - add the online meeting link (only for people allowed to see it)
+const buildEvent = (event, options = {}) => {
+  const status = options.status || (event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED');
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.date)}`
+  ];
+  
+  if (event.endDate) {
+    lines.push(`DTEND:${formatDate(event.endDate)}`);
+  }
+  
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  
+  // The online link is added to the description, so it is easy to click in calendar apps
+  let description = event.description || '';
+  if (options.includeOnlineLink && event.onlineMeetingUrl) {
+    description += `\n\nJoin online: ${event.onlineMeetingUrl}`;
+    lines.push(`URL:${event.onlineMeetingUrl}`);
+  }
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+  
+  // Location - venue name and address
+  const venue = event.venue || {};
+  const location = [venue.name, venue.address].filter(Boolean).join(', ');
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  } else if (event.format === 'online') {
+    lines.push('LOCATION:Online');
+  }
+  
+  // Map coordinates of the venue
+  if (venue.coordinates && venue.coordinates.lat != null && venue.coordinates.lng != null) {
+    lines.push(`GEO:${venue.coordinates.lat};${venue.coordinates.lng}`);
+  }
+  
+  lines.push(`STATUS:${status}`);
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  }
+  lines.push('END:VEVENT');
+  
+  return lines;
+};
+
+// Build a complete calendar file
+// name - shown as the calendar name by apps that support it
+// vevents - list of VEVENT line arrays from buildEvent()
+const buildCalendar = (name, vevents) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...vevents.flat(),
+    'END:VCALENDAR'
+  ];
+  
+  // iCalendar uses CRLF line endings, also after the last line
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  formatDate,
+  escapeText,
+  buildEvent,
+  buildCalendar
+};
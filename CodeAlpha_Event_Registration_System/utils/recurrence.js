@@ -0,0 +1,156 @@
+// utils/recurrence.js - Helper functions for recurring event series
+// A recurrence rule describes how often an event repeats, for example:
+//   { frequency: 'weekly', interval: 2, count: 10 }  -> every two weeks, 10 times
+//   { frequency: 'monthly', interval: 1, until: '2025-12-31' } -> every month until the end of 2025
+
+// Allowed values for the frequency of a recurrence rule
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Safety limit - a single series never creates more occurrences than this
+const MAX_OCCURRENCES = 100;
+
+// Check if a timezone name (e.g. 'Europe/Berlin') is known
+// Intl throws a RangeError for unknown timezones
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the local wall clock time of a date in a timezone
+// Returns { year, month, day, hour, minute, second } (month is 1-12)
+const getLocalParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// Turn a local wall clock time in a timezone back into a real (UTC) date
+// The timezone offset is looked up for that moment, so daylight saving time is respected
+const fromLocalParts = ({ year, month, day, hour, minute, second }, timeZone) => {
+  // First guess: pretend the local time is UTC
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  
+  // See what local time that guess is in the timezone and correct by the difference
+  // Doing this twice handles dates right next to a daylight saving change
+  let result = guess;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalParts(new Date(result), timeZone);
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    result += guess - localAsUtc;
+  }
+  return new Date(result);
+};
+
+// Format a date as 'YYYY-MM-DD' in a timezone
+// Used to match occurrences against the exception dates of a series
+const toLocalDateString = (date, timeZone) => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Check a recurrence rule and return an error message, or null if it is valid
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return 'A recurrence rule is required';
+  }
+  
+  const { frequency, interval = 1, count, until } = recurrence;
+  
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    return 'Recurrence interval must be a positive whole number';
+  }
+  
+  // Every series needs an end, either a number of occurrences or an end date
+  if (count === undefined && until === undefined) {
+    return 'Recurrence needs either "count" or "until"';
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be a whole number between 1 and ${MAX_OCCURRENCES}`;
+  }
+  if (until !== undefined && isNaN(new Date(until))) {
+    return 'Recurrence "until" must be a valid date';
+  }
+  
+  return null;
+};
+
+// Generate the start dates of all occurrences of a series
+// startDate - date and time of the first occurrence
+// recurrence - the recurrence rule (see top of this file)
+// exceptions - list of 'YYYY-MM-DD' dates (in the series timezone) that are skipped
+// timeZone - the series timezone, so occurrences keep the same local time across daylight saving changes
+const generateOccurrences = (startDate, recurrence, exceptions = [], timeZone = 'UTC') => {
+  const { frequency, interval = 1, count, until } = recurrence;
+  const untilDate = until ? new Date(until) : null;
+  const skipped = new Set(exceptions);
+  const start = getLocalParts(new Date(startDate), timeZone);
+  
+  const occurrences = [];
+  
+  // "count" counts the generated occurrences (including skipped exceptions), like in iCalendar
+  for (let i = 0; i < (count || MAX_OCCURRENCES) && occurrences.length < MAX_OCCURRENCES; i++) {
+    const local = { ...start };
+    
+    if (frequency === 'daily') {
+      // Date.UTC handles day overflow, e.g. January 32nd becomes February 1st
+      const day = new Date(Date.UTC(start.year, start.month - 1, start.day + i * interval));
+      local.year = day.getUTCFullYear();
+      local.month = day.getUTCMonth() + 1;
+      local.day = day.getUTCDate();
+    } else if (frequency === 'weekly') {
+      const day = new Date(Date.UTC(start.year, start.month - 1, start.day + i * interval * 7));
+      local.year = day.getUTCFullYear();
+      local.month = day.getUTCMonth() + 1;
+      local.day = day.getUTCDate();
+    } else {
+      // Monthly - same day of the month
+      const month = new Date(Date.UTC(start.year, start.month - 1 + i * interval, 1));
+      local.year = month.getUTCFullYear();
+      local.month = month.getUTCMonth() + 1;
+      
+      // Skip months that do not have this day (e.g. the 31st in April)
+      const daysInMonth = new Date(Date.UTC(local.year, local.month, 0)).getUTCDate();
+      if (start.day > daysInMonth) continue;
+    }
+    
+    const occurrence = fromLocalParts(local, timeZone);
+    
+    // Stop once we are past the end date of the series
+    if (untilDate && occurrence > untilDate) break;
+    
+    if (!skipped.has(toLocalDateString(occurrence, timeZone))) {
+      occurrences.push(occurrence);
+    }
+  }
+  
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  isValidTimeZone,
+  toLocalDateString,
+  validateRecurrence,
+  generateOccurrences
+};
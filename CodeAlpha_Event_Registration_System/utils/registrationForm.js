@@ -0,0 +1,137 @@
+// utils/registrationForm.js - Helper functions for custom registration questions
+// Organizers can ask their own questions when people register for an event, for example:
+//   { key: 'diet', label: 'Dietary needs', type: 'select', options: ['None', 'Vegetarian', 'Vegan'] }
+//   { key: 'company', label: 'Company', type: 'text', required: true }
+// The answers are sent with POST /register as { "answers": { "diet": "Vegan", "company": "ACME" } }
+
+// Allowed question types
+//   text / textarea - free text
+//   number - a number
+//   select - one of the options
+//   multiselect - a list of options
+//   checkbox - true or false (a required checkbox must be ticked, e.g. "I accept the terms")
+const QUESTION_TYPES = ['text', 'textarea', 'number', 'select', 'multiselect', 'checkbox'];
+
+// Safety limits
+const MAX_QUESTIONS = 30;
+const MAX_TEXT_LENGTH = 2000;
+
+// Check the questions of an event
+// Returns an error message, or null if the questions are fine
+const validateQuestions = (questions) => {
+  if (questions.length > MAX_QUESTIONS) {
+    return `An event can have at most ${MAX_QUESTIONS} registration questions`;
+  }
+  
+  const keys = new Set();
+  for (const question of questions) {
+    if (keys.has(question.key)) {
+      return `Question key "${question.key}" is used twice`;
+    }
+    keys.add(question.key);
+    
+    const hasOptions = question.options && question.options.length > 0;
+    if (['select', 'multiselect'].includes(question.type) && !hasOptions) {
+      return `Question "${question.key}" needs a list of options`;
+    }
+    if (!['select', 'multiselect'].includes(question.type) && hasOptions) {
+      return `Only select and multiselect questions can have options (question "${question.key}")`;
+    }
+  }
+  
+  return null;
+};
+
+// Check if an answer is empty (not given)
+const isEmpty = (value) => 
+  value === undefined || value === null || value === '' || 
+  (Array.isArray(value) && value.length === 0);
+
+// Check one answer against its question
+// Returns { value } with the cleaned answer, or { error }
+const checkAnswer = (question, value) => {
+  switch (question.type) {
+    case 'text':
+    case 'textarea':
+      if (typeof value !== 'string') return { error: 'must be text' };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.trim() };
+      
+    case 'number': {
+      // Numbers typed into a form arrive as strings, e.g. "42"
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      return { value: number };
+    }
+      
+    case 'select':
+      if (!question.options.includes(value)) {
+        return { error: `must be one of: ${question.options.join(', ')}` };
+      }
+      return { value };
+      
+    case 'multiselect':
+      if (!Array.isArray(value) || !value.every((option) => question.options.includes(option))) {
+        return { error: `must be a list of: ${question.options.join(', ')}` };
+      }
+      return { value: [...new Set(value)] };
+      
+    case 'checkbox':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      if (question.required && !value) return { error: 'must be checked' };
+      return { value };
+      
+    default:
+      return { error: 'has an unknown question type' };
+  }
+};
+
+// Check the answers of a registration against the questions of the event
+// Returns { answers } with the cleaned answers, or { errors } with one message per problem
+const validateAnswers = (questions = [], answers) => {
+  // No answers sent at all - fine as long as nothing is required
+  if (answers === undefined || answers === null) {
+    answers = {};
+  }
+  if (typeof answers !== 'object' || Array.isArray(answers)) {
+    return { errors: ['Answers must be an object, e.g. { "company": "ACME" }'] };
+  }
+  
+  const errors = [];
+  const cleaned = {};
+  
+  // Answers to questions the event does not ask
+  const keys = questions.map((question) => question.key);
+  Object.keys(answers)
+    .filter((key) => !keys.includes(key))
+    .forEach((key) => errors.push(`"${key}" is not a question of this event`));
+  
+  for (const question of questions) {
+    const value = answers[question.key];
+    
+    if (isEmpty(value)) {
+      if (question.required) {
+        errors.push(`"${question.label}" is required`);
+      }
+      continue;
+    }
+    
+    const result = checkAnswer(question, value);
+    if (result.error) {
+      errors.push(`"${question.label}" ${result.error}`);
+    } else if (question.required && isEmpty(result.value)) {
+      // e.g. a required text answer that was only spaces
+      errors.push(`"${question.label}" is required`);
+    } else {
+      cleaned[question.key] = result.value;
+    }
+  }
+  
+  return errors.length > 0 ? { errors } : { answers: cleaned };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestions,
+  validateAnswers
+};
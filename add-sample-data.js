@@ -4,42 +4,83 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
 
+// Only organizers and admins can create events
+// Pass the login of an organizer account through environment variables:
+// ORGANIZER_EMAIL=you@example.com ORGANIZER_PASSWORD=secret node add-sample-data.js
+const ORGANIZER_EMAIL = process.env.ORGANIZER_EMAIL;
+const ORGANIZER_PASSWORD = process.env.ORGANIZER_PASSWORD;
+
+// Date a number of days from now at a given hour (UTC)
+// Sample events are always in the future, so registration is open when you try them out
+const daysFromNow = (days, hour) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date.toISOString();
+};
+
 // Sample events data
 const sampleEvents = [
   {
     title: "React.js Workshop",
     description: "Learn the fundamentals of React.js including components, state management, and hooks. Perfect for beginners!",
-    date: "2024-02-15T10:00:00.000Z"
+    date: daysFromNow(14, 10)
   },
   {
     title: "Node.js Backend Development",
     description: "Build REST APIs with Node.js and Express. Learn about MongoDB integration and authentication.",
-    date: "2024-02-20T14:00:00.000Z"
+    date: daysFromNow(19, 14),
+    // Registration closes two days before the event, cancelling is possible until three days before
+    registrationClosesAt: daysFromNow(17, 14),
+    cancellationDeadline: daysFromNow(16, 14)
   },
   {
     title: "Full Stack Project Showcase",
     description: "Present your full-stack projects and get feedback from industry experts. Networking opportunity included!",
-    date: "2024-02-25T16:00:00.000Z"
+    date: daysFromNow(24, 16)
   },
   {
     title: "JavaScript ES6+ Features",
     description: "Master modern JavaScript features including arrow functions, destructuring, async/await, and more.",
-    date: "2024-03-01T11:00:00.000Z"
+    date: daysFromNow(29, 11),
+    // Registration only opens one week from now
+    registrationOpensAt: daysFromNow(7, 9)
   },
   {
     title: "Database Design Workshop",
     description: "Learn how to design efficient database schemas for web applications. Covers both SQL and NoSQL approaches.",
-    date: "2024-03-05T13:00:00.000Z"
+    date: daysFromNow(34, 13)
   }
 ];
 
 // Function to add sample events
 async function addSampleEvents() {
+  if (!ORGANIZER_EMAIL || !ORGANIZER_PASSWORD) {
+    console.log('❌ Please set ORGANIZER_EMAIL and ORGANIZER_PASSWORD');
+    return;
+  }
+  
+  // Log in to get a token
+  let token;
+  try {
+    const loginResponse = await axios.post(`${BASE_URL}/auth/login`, {
+      email: ORGANIZER_EMAIL,
+      password: ORGANIZER_PASSWORD
+    });
+    token = loginResponse.data.token;
+  } catch (error) {
+    console.log('❌ Error logging in');
+    console.log('Error:', error.response?.data || error.message);
+    return;
+  }
+  
   console.log('Adding sample events...');
   
   for (let i = 0; i < sampleEvents.length; i++) {
     try {
-      const response = await axios.post(`${BASE_URL}/events`, sampleEvents[i]);
+      const response = await axios.post(`${BASE_URL}/events`, sampleEvents[i], {
+        headers: { Authorization: `Bearer ${token}` }
+      });
       console.log(`✅ Added event: ${sampleEvents[i].title}`);
     } catch (error) {
       console.log(`❌ Error adding event: ${sampleEvents[i].title}`);
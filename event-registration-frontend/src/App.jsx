@@ -6,6 +6,8 @@ import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import EventDetails from './pages/EventDetails';
 import RegisterUser from './pages/RegisterUser';
+import Login from './pages/Login';
+import CreateEvent from './pages/CreateEvent';
 import RegisterEvent from './pages/RegisterEvent';
 import MyRegistrations from './pages/MyRegistrations';
 
@@ -33,6 +35,12 @@ function App() {
             {/* User registration page - create new user account */}
             <Route path="/register-user" element={<RegisterUser />} />
             
+            {/* Login page - log in with email and password */}
+            <Route path="/login" element={<Login />} />
+            
+            {/* Create event page - only for organizers and admins */}
+            <Route path="/create-event" element={<CreateEvent />} />
+            
             {/* Event registration page - register for a specific event */}
             <Route path="/register-event/:eventId" element={<RegisterEvent />} />
             
@@ -16,13 +16,60 @@ const api = axios.create({
   },
 });
 
+// ==================== AUTHENTICATION ====================
+
+// The login token and user are kept in localStorage,
+// so the user stays logged in after a page refresh
+const TOKEN_KEY = 'token';
+const USER_KEY = 'user';
+
+// Send the token with every request (if the user is logged in)
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Save the token and user after signing up or logging in
+const saveSession = (data) => {
+  localStorage.setItem(TOKEN_KEY, data.token);
+  localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+};
+
+// Get the logged in user (or null if nobody is logged in)
+export const getStoredUser = () => {
+  const user = localStorage.getItem(USER_KEY);
+  return user ? JSON.parse(user) : null;
+};
+
+// Log in with email and password
+// This calls POST /auth/login endpoint
+export const login = async (credentials) => {
+  try {
+    const response = await api.post('/auth/login', credentials);
+    saveSession(response.data);
+    return response.data; // Returns the user and token
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to log in' };
+  }
+};
+
+// Log out - the token is simply forgotten
+export const logout = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
 // ==================== USER API CALLS ====================
 
-// Create a new user
-// This calls POST /users endpoint
+// Create a new user (sign up)
+// This calls POST /users endpoint and logs the new user in
 export const createUser = async (userData) => {
   try {
     const response = await api.post('/users', userData);
+    saveSession(response.data);
     return response.data; // Returns the created user data
   } catch (error) {
     throw error.response?.data || { error: 'Failed to create user' };
@@ -31,14 +78,15 @@ export const createUser = async (userData) => {
 
 // ==================== EVENT API CALLS ====================
 
-// Get all events
+// Get a list of events
 // This calls GET /events endpoint
-export const getAllEvents = async () => {
+// params can contain search, from, to, when, sort, page and limit
+export const getAllEvents = async (params = {}) => {
   try {
     console.log('🔄 Making API call to:', `${BASE_URL}/events`);
-    const response = await api.get('/events');
+    const response = await api.get('/events', { params });
     console.log('✅ API call successful:', response.data);
-    return response.data; // Returns list of all events
+    return response.data; // Returns one page of events with pagination info
   } catch (error) {
     console.error('❌ API call failed:', error);
     console.error('Error details:', {
@@ -62,7 +110,7 @@ export const getEventById = async (eventId) => {
   }
 };
 
-// Create a new event (for admin use)
+// Create a new event (organizers and admins only)
 // This calls POST /events endpoint
 export const createEvent = async (eventData) => {
   try {
@@ -73,9 +121,60 @@ export const createEvent = async (eventData) => {
   }
 };
 
+// Update an event (event organizer or admin only)
+// This calls PUT /events/:id endpoint
+export const updateEvent = async (eventId, eventData) => {
+  try {
+    const response = await api.put(`/events/${eventId}`, eventData);
+    return response.data; // Returns the updated event
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to update event' };
+  }
+};
+
+// Cancel an event (event organizer or admin only)
+// This calls DELETE /events/:id endpoint - the event is marked as cancelled, not deleted
+export const cancelEvent = async (eventId) => {
+  try {
+    const response = await api.delete(`/events/${eventId}`);
+    return response.data; // Returns the cancelled event
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to cancel event' };
+  }
+};
+
+// Get the download link of an event's iCalendar (.ics) file
+// This points to GET /events/:id.ics - the link can be opened directly in the browser
+export const getEventCalendarUrl = (eventId) => `${BASE_URL}/events/${eventId}.ics`;
+
+// ==================== EVENT SERIES API CALLS ====================
+
+// Get a recurring series with all its occurrences
+// This calls GET /series/:id endpoint
+export const getSeries = async (seriesId) => {
+  try {
+    const response = await api.get(`/series/${seriesId}`);
+    return response.data; // Returns the series and its occurrences
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to fetch event series' };
+  }
+};
+
+// Register the logged in user for all upcoming occurrences of a series
+// The answers to the registration questions are used for every occurrence
+// This calls POST /series/:id/register endpoint
+export const registerForSeries = async (seriesId, answers = {}) => {
+  try {
+    const response = await api.post(`/series/${seriesId}/register`, { answers });
+    return response.data; // Returns one result per occurrence
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to register for event series' };
+  }
+};
+
 // ==================== REGISTRATION API CALLS ====================
 
-// Register a user for an event
+// Register the logged in user for an event
 // This calls POST /register endpoint
 export const registerForEvent = async (registrationData) => {
   try {
@@ -86,6 +185,18 @@ export const registerForEvent = async (registrationData) => {
   }
 };
 
+// Pay for a registration with a paid ticket (it stays pending until it is paid)
+// This calls POST /registrations/:id/pay endpoint
+// paymentDetails depends on the payment provider, e.g. { cardNumber } for the fake provider
+export const payForRegistration = async (registrationId, paymentDetails) => {
+  try {
+    const response = await api.post(`/registrations/${registrationId}/pay`, paymentDetails);
+    return response.data; // Returns the confirmed registration
+  } catch (error) {
+    throw error.response?.data || { error: 'Payment failed' };
+  }
+};
+
 // Get all registrations for a specific user
 // This calls GET /registrations/:userId endpoint
 export const getUserRegistrations = async (userId) => {
@@ -108,5 +219,99 @@ export const cancelRegistration = async (registrationId) => {
   }
 };
 
+// Hand a registration to another person
+// This calls POST /registrations/:id/transfer endpoint
+// transferData is { email } for people with an account, or { name, email } for new people
+export const transferRegistration = async (registrationId, transferData) => {
+  try {
+    const response = await api.post(`/registrations/${registrationId}/transfer`, transferData);
+    return response.data; // Returns the transferred registration
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to transfer registration' };
+  }
+};
+
+// Choose the sessions of a multi-session event (replaces the earlier choice)
+// This calls PUT /registrations/:id/sessions endpoint
+export const chooseSessions = async (registrationId, sessionIds) => {
+  try {
+    const response = await api.put(`/registrations/${registrationId}/sessions`, { sessionIds });
+    return response.data; // Returns the registration and the chosen sessions
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to save sessions' };
+  }
+};
+
+// ==================== CALENDAR API CALLS ====================
+
+// Get the personal calendar feed URL of the logged in user
+// This calls GET /calendar/feed-url endpoint
+export const getCalendarFeedUrl = async () => {
+  try {
+    const response = await api.get('/calendar/feed-url');
+    return response.data; // Returns { feedUrl }
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to get calendar feed URL' };
+  }
+};
+
+// Get the ticket of a registration (ticket code and QR code image)
+// This calls GET /registrations/:id/ticket endpoint
+export const getTicket = async (registrationId) => {
+  try {
+    const response = await api.get(`/registrations/${registrationId}/ticket`, {
+      params: { format: 'json' }
+    });
+    return response.data; // Returns { ticketCode, qrCode, checkedInAt }
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to load ticket' };
+  }
+};
+
+// Check in an attendee by their ticket code (event organizer or admin only)
+// This calls POST /events/:id/check-in endpoint
+export const checkInAttendee = async (eventId, ticketCode) => {
+  try {
+    const response = await api.post(`/events/${eventId}/check-in`, { ticketCode });
+    return response.data; // Returns the checked in registration
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to check in attendee' };
+  }
+};
+
+// Get the statistics of an event (event organizer or admin only)
+// This calls GET /events/:id/stats endpoint
+export const getEventStats = async (eventId, interval = 'day') => {
+  try {
+    const response = await api.get(`/events/${eventId}/stats`, {
+      params: { interval }
+    });
+    return response.data; // Returns { event, stats }
+  } catch (error) {
+    throw error.response?.data || { error: 'Failed to load event statistics' };
+  }
+};
+
+// Download the attendee list of an event as a CSV or Excel file (event organizer or admin only)
+// This calls GET /events/:id/attendees - the file is fetched with the login token and then saved by the browser
+export const downloadAttendees = async (eventId, format) => {
+  try {
+    const response = await api.get(`/events/${eventId}/attendees`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    
+    // Let the browser save the file
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `attendees-${eventId}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    throw { error: 'Failed to download attendee list' };
+  }
+};
+
 // Export the api instance in case we need it elsewhere
 export default api;
\ No newline at end of file
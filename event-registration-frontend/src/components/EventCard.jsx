@@ -5,6 +5,7 @@ import { Link } from 'react-router-dom';
 
 const EventCard = ({ event }) => {
   // Format the date to be more readable
+  // Dates are shown in the event's own timezone
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -12,14 +13,37 @@ const EventCard = ({ event }) => {
       month: 'long',
       day: 'numeric',
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone: event.timezone || undefined,
+      timeZoneName: 'short'
     });
   };
 
+  // Badge text when registration is not open
+  const registrationLabels = {
+    'not-open-yet': 'Registration not open yet',
+    'closed': 'Registration closed',
+    'started': 'Started'
+  };
+
+  // Readable names for the event formats
+  const formatLabels = {
+    'in-person': 'In person',
+    'online': 'Online',
+    'hybrid': 'Hybrid'
+  };
+
   return (
     <div style={cardStyle}>
       {/* Event title */}
-      <h3 style={titleStyle}>{event.title}</h3>
+      <h3 style={titleStyle}>
+        {event.title}
+        {event.status === 'cancelled' && <span style={cancelledBadgeStyle}>Cancelled</span>}
+        {/* Registration closed, not open yet or already started (cancelled events have their own badge) */}
+        {event.status !== 'cancelled' && event.registrationState && !event.registrationState.open && (
+          <span style={closedBadgeStyle}>{registrationLabels[event.registrationState.status]}</span>
+        )}
+      </h3>
       
       {/* Event description */}
       <p style={descriptionStyle}>{event.description}</p>
@@ -29,6 +53,12 @@ const EventCard = ({ event }) => {
         <strong>Date:</strong> {formatDate(event.date)}
       </p>
       
+      {/* Event format and venue */}
+      <p style={dateStyle}>
+        <strong>Format:</strong> {formatLabels[event.format] || 'In person'}
+        {event.venue?.name && <> · <strong>Venue:</strong> {event.venue.name}</>}
+      </p>
+      
       {/* View details button */}
       <Link to={`/event/${event._id}`} style={buttonStyle}>
         View Details
@@ -52,6 +82,21 @@ const titleStyle = {
   marginBottom: '0.5rem'
 };
 
+const cancelledBadgeStyle = {
+  backgroundColor: '#e74c3c',
+  color: 'white',
+  fontSize: '0.8rem',
+  padding: '0.2rem 0.5rem',
+  borderRadius: '4px',
+  marginLeft: '0.5rem',
+  verticalAlign: 'middle'
+};
+
+const closedBadgeStyle = {
+  ...cancelledBadgeStyle,
+  backgroundColor: '#95a5a6'
+};
+
 const descriptionStyle = {
   color: '#666',
   marginBottom: '1rem',
@@ -1,9 +1,23 @@
 // components/Navbar.jsx - Navigation bar component
 // This component shows navigation links to different pages
 
-import { Link } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { getStoredUser, logout } from '../api/api';
 
 const Navbar = () => {
+  const navigate = useNavigate();
+  
+  // useLocation makes the navbar re-render on every page change,
+  // so it picks up logins and logouts right away
+  useLocation();
+  const user = getStoredUser();
+
+  // Function to handle logout button click
+  const handleLogout = () => {
+    logout();
+    navigate('/');
+  };
+
   return (
     <nav style={navStyle}>
       <div style={containerStyle}>
@@ -13,8 +27,21 @@ const Navbar = () => {
         {/* Navigation links */}
         <div style={linksStyle}>
           <Link to="/" style={linkStyle}>Home</Link>
-          <Link to="/register-user" style={linkStyle}>Register User</Link>
-          <Link to="/my-registrations" style={linkStyle}>My Registrations</Link>
+          {user ? (
+            <>
+              <Link to="/my-registrations" style={linkStyle}>My Registrations</Link>
+              {['organizer', 'admin'].includes(user.role) && (
+                <Link to="/create-event" style={linkStyle}>Create Event</Link>
+              )}
+              <span style={userNameStyle}>Hi, {user.name}</span>
+              <button onClick={handleLogout} style={logoutButtonStyle}>Logout</button>
+            </>
+          ) : (
+            <>
+              <Link to="/register-user" style={linkStyle}>Register User</Link>
+              <Link to="/login" style={linkStyle}>Login</Link>
+            </>
+          )}
         </div>
       </div>
     </nav>
@@ -44,6 +71,7 @@ const titleStyle = {
 
 const linksStyle = {
   display: 'flex',
+  alignItems: 'center',
   gap: '1.5rem'
 };
 
@@ -55,4 +83,18 @@ const linkStyle = {
   transition: 'background-color 0.3s'
 };
 
+const userNameStyle = {
+  color: '#bdc3c7',
+  padding: '0.5rem 0'
+};
+
+const logoutButtonStyle = {
+  backgroundColor: 'transparent',
+  color: 'white',
+  border: '1px solid white',
+  padding: '0.5rem 1rem',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
 export default Navbar;
\ No newline at end of file
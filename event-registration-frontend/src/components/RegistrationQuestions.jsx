@@ -0,0 +1,144 @@
+// components/RegistrationQuestions.jsx - The organizer's registration questions of an event
+// This component shows one input per question and is used by every form that registers for an event
+
+const RegistrationQuestions = ({ questions, answers, onChange }) => {
+  // Update the answer to one question
+  const handleAnswerChange = (key, value) => {
+    onChange({ ...answers, [key]: value });
+  };
+  
+  // Tick or untick one option of a multiselect question
+  const handleOptionToggle = (key, option) => {
+    const selected = answers[key] || [];
+    handleAnswerChange(key, selected.includes(option)
+      ? selected.filter(item => item !== option)
+      : [...selected, option]);
+  };
+  
+  // Render the input for one registration question, depending on its type
+  const renderQuestionInput = (question) => {
+    const value = answers[question.key];
+    
+    switch (question.type) {
+      case 'textarea':
+        return (
+          <textarea
+            id={question.key}
+            value={value || ''}
+            onChange={(e) => handleAnswerChange(question.key, e.target.value)}
+            required={question.required}
+            rows={4}
+            style={inputStyle}
+          />
+        );
+        
+      case 'number':
+        return (
+          <input
+            id={question.key}
+            type="number"
+            value={value ?? ''}
+            onChange={(e) => handleAnswerChange(question.key, e.target.value === '' ? undefined : Number(e.target.value))}
+            required={question.required}
+            style={inputStyle}
+          />
+        );
+        
+      case 'select':
+        return (
+          <select
+            id={question.key}
+            value={value || ''}
+            onChange={(e) => handleAnswerChange(question.key, e.target.value || undefined)}
+            required={question.required}
+            style={inputStyle}
+          >
+            <option value="">-- Please choose --</option>
+            {question.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+        
+      case 'multiselect':
+        return (
+          <div>
+            {question.options.map((option) => (
+              <label key={option} style={checkboxLabelStyle}>
+                <input
+                  type="checkbox"
+                  checked={(value || []).includes(option)}
+                  onChange={() => handleOptionToggle(question.key, option)}
+                />
+                {' '}{option}
+              </label>
+            ))}
+          </div>
+        );
+        
+      case 'checkbox':
+        return (
+          <input
+            id={question.key}
+            type="checkbox"
+            checked={value || false}
+            onChange={(e) => handleAnswerChange(question.key, e.target.checked)}
+            required={question.required}
+          />
+        );
+        
+      default:
+        return (
+          <input
+            id={question.key}
+            type="text"
+            value={value || ''}
+            onChange={(e) => handleAnswerChange(question.key, e.target.value)}
+            required={question.required}
+            style={inputStyle}
+          />
+        );
+    }
+  };
+  
+  // The form is built from the event's question list
+  return (
+    <>
+      {(questions || []).map((question) => (
+        <div key={question.key} style={questionStyle}>
+          <label htmlFor={question.key} style={questionLabelStyle}>
+            {question.label}{question.required && ' *'}
+          </label>
+          {renderQuestionInput(question)}
+        </div>
+      ))}
+    </>
+  );
+};
+
+// Simple CSS styles for the questions
+const questionStyle = {
+  marginBottom: '1rem'
+};
+
+const questionLabelStyle = {
+  display: 'block',
+  fontWeight: 'bold',
+  marginBottom: '0.25rem'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  boxSizing: 'border-box',
+  fontSize: '1rem'
+};
+
+const checkboxLabelStyle = {
+  display: 'block',
+  marginBottom: '0.25rem'
+};
+
+export default RegistrationQuestions;
@@ -0,0 +1,406 @@
+// pages/CreateEvent.jsx - Create event page component
+// This page allows organizers and admins to add a new event
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { createEvent, getStoredUser } from '../api/api';
+
+const CreateEvent = () => {
+  const navigate = useNavigate();
+  
+  // Only organizers and admins can create events
+  const user = getStoredUser();
+  const canCreateEvents = user && ['organizer', 'admin'].includes(user.role);
+  
+  // State to store form input values
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    date: '',
+    endDate: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    format: 'in-person',
+    venueName: '',
+    venueAddress: '',
+    onlineMeetingUrl: '',
+    capacity: '',
+    registrationOpensAt: '',
+    registrationClosesAt: '',
+    cancellationDeadline: '',
+    requiresApproval: false
+  });
+  
+  // State to track form submission status
+  const [loading, setLoading] = useState(false);
+  
+  // State to store error messages
+  const [error, setError] = useState('');
+
+  // Function to handle input changes
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    
+    // Update the form data state - checkboxes are true or false
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    
+    // Clear any previous error when user starts typing
+    setError('');
+  };
+
+  // Function to handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault(); // Prevent page refresh
+    
+    // Basic form validation
+    if (!formData.title.trim() || !formData.description.trim() || !formData.date) {
+      setError('Please fill in title, description and date');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      // Call the API to create the event
+      // An empty capacity means unlimited seats
+      const response = await createEvent({
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        date: new Date(formData.date).toISOString(),
+        endDate: formData.endDate ? new Date(formData.endDate).toISOString() : null,
+        timezone: formData.timezone,
+        format: formData.format,
+        venue: {
+          name: formData.venueName.trim() || undefined,
+          address: formData.venueAddress.trim() || undefined
+        },
+        onlineMeetingUrl: formData.onlineMeetingUrl.trim() || undefined,
+        capacity: formData.capacity ? Number(formData.capacity) : null,
+        // Empty registration window fields mean "no limit"
+        registrationOpensAt: formData.registrationOpensAt ? new Date(formData.registrationOpensAt).toISOString() : null,
+        registrationClosesAt: formData.registrationClosesAt ? new Date(formData.registrationClosesAt).toISOString() : null,
+        cancellationDeadline: formData.cancellationDeadline ? new Date(formData.cancellationDeadline).toISOString() : null,
+        requiresApproval: formData.requiresApproval
+      });
+      
+      // Go to the new event's details page
+      navigate(`/event/${response.event._id}`);
+      
+    } catch (err) {
+      // Show error message if something goes wrong
+      setError(err.error || 'Failed to create event');
+      console.error('Error creating event:', err);
+    } finally {
+      // Always set loading to false when done
+      setLoading(false);
+    }
+  };
+
+  // Show a message to users who are not allowed to create events
+  if (!canCreateEvents) {
+    return (
+      <div style={containerStyle}>
+        <h1>Create Event</h1>
+        <div style={errorStyle}>
+          <p>Only organizers and admins can create events.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={containerStyle}>
+      <h1>Create Event</h1>
+      <p>You will be the organizer of this event</p>
+      
+      {/* Event form */}
+      <form onSubmit={handleSubmit} style={formStyle}>
+        {/* Title input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="title" style={labelStyle}>Title:</label>
+          <input
+            type="text"
+            id="title"
+            name="title"
+            value={formData.title}
+            onChange={handleInputChange}
+            placeholder="Enter the event title"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Description input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="description" style={labelStyle}>Description:</label>
+          <textarea
+            id="description"
+            name="description"
+            value={formData.description}
+            onChange={handleInputChange}
+            placeholder="What is the event about?"
+            rows={4}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Date input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="date" style={labelStyle}>Date & Time:</label>
+          <input
+            type="datetime-local"
+            id="date"
+            name="date"
+            value={formData.date}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* End date input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="endDate" style={labelStyle}>End Date & Time (optional):</label>
+          <input
+            type="datetime-local"
+            id="endDate"
+            name="endDate"
+            value={formData.endDate}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Timezone input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="timezone" style={labelStyle}>Timezone:</label>
+          <input
+            type="text"
+            id="timezone"
+            name="timezone"
+            value={formData.timezone}
+            onChange={handleInputChange}
+            placeholder="e.g. Europe/Berlin"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Format select */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="format" style={labelStyle}>Format:</label>
+          <select
+            id="format"
+            name="format"
+            value={formData.format}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          >
+            <option value="in-person">In person</option>
+            <option value="online">Online</option>
+            <option value="hybrid">Hybrid</option>
+          </select>
+        </div>
+        
+        {/* Venue inputs - not needed for online-only events */}
+        {formData.format !== 'online' && (
+          <>
+            <div style={inputGroupStyle}>
+              <label htmlFor="venueName" style={labelStyle}>Venue Name:</label>
+              <input
+                type="text"
+                id="venueName"
+                name="venueName"
+                value={formData.venueName}
+                onChange={handleInputChange}
+                placeholder="e.g. Main Hall"
+                style={inputStyle}
+                disabled={loading}
+              />
+            </div>
+            
+            <div style={inputGroupStyle}>
+              <label htmlFor="venueAddress" style={labelStyle}>Venue Address:</label>
+              <input
+                type="text"
+                id="venueAddress"
+                name="venueAddress"
+                value={formData.venueAddress}
+                onChange={handleInputChange}
+                placeholder="Street, city"
+                style={inputStyle}
+                disabled={loading}
+              />
+            </div>
+          </>
+        )}
+        
+        {/* Online meeting link - only for online and hybrid events */}
+        {formData.format !== 'in-person' && (
+          <div style={inputGroupStyle}>
+            <label htmlFor="onlineMeetingUrl" style={labelStyle}>Online Meeting Link:</label>
+            <input
+              type="url"
+              id="onlineMeetingUrl"
+              name="onlineMeetingUrl"
+              value={formData.onlineMeetingUrl}
+              onChange={handleInputChange}
+              placeholder="https://..."
+              style={inputStyle}
+              disabled={loading}
+            />
+          </div>
+        )}
+        
+        {/* Capacity input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="capacity" style={labelStyle}>Capacity (optional):</label>
+          <input
+            type="number"
+            id="capacity"
+            name="capacity"
+            min="1"
+            value={formData.capacity}
+            onChange={handleInputChange}
+            placeholder="Leave empty for unlimited seats"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Registration window inputs */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="registrationOpensAt" style={labelStyle}>Registration Opens (optional):</label>
+          <input
+            type="datetime-local"
+            id="registrationOpensAt"
+            name="registrationOpensAt"
+            value={formData.registrationOpensAt}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        <div style={inputGroupStyle}>
+          <label htmlFor="registrationClosesAt" style={labelStyle}>Registration Closes (optional - always closes when the event starts):</label>
+          <input
+            type="datetime-local"
+            id="registrationClosesAt"
+            name="registrationClosesAt"
+            value={formData.registrationClosesAt}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        <div style={inputGroupStyle}>
+          <label htmlFor="cancellationDeadline" style={labelStyle}>Attendees Can Cancel Until (optional):</label>
+          <input
+            type="datetime-local"
+            id="cancellationDeadline"
+            name="cancellationDeadline"
+            value={formData.cancellationDeadline}
+            onChange={handleInputChange}
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        <div style={inputGroupStyle}>
+          <label htmlFor="requiresApproval">
+            <input
+              type="checkbox"
+              id="requiresApproval"
+              name="requiresApproval"
+              checked={formData.requiresApproval}
+              onChange={handleInputChange}
+              disabled={loading}
+            />
+            {' '}Registrations need my approval (invite-only)
+          </label>
+        </div>
+        
+        {/* Submit button */}
+        <button 
+          type="submit" 
+          style={buttonStyle} 
+          disabled={loading}
+        >
+          {loading ? 'Creating...' : 'Create Event'}
+        </button>
+      </form>
+      
+      {/* Error message */}
+      {error && (
+        <div style={errorStyle}>
+          <p>{error}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Simple CSS styles
+const containerStyle = {
+  maxWidth: '600px',
+  margin: '0 auto',
+  padding: '1rem'
+};
+
+const formStyle = {
+  backgroundColor: 'white',
+  padding: '2rem',
+  borderRadius: '8px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  marginBottom: '1rem'
+};
+
+const inputGroupStyle = {
+  marginBottom: '1.5rem'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: 'bold',
+  color: '#333'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+  backgroundColor: '#27ae60',
+  color: 'white',
+  padding: '0.75rem 2rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '1rem',
+  width: '100%'
+};
+
+const errorStyle = {
+  backgroundColor: '#f8d7da',
+  color: '#721c24',
+  padding: '1rem',
+  borderRadius: '4px',
+  border: '1px solid #f5c6cb',
+  marginBottom: '1rem'
+};
+
+export default CreateEvent;
@@ -3,7 +3,8 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getEventById } from '../api/api';
+import { getEventById, cancelEvent, registerForSeries, getEventCalendarUrl, checkInAttendee, downloadAttendees, getEventStats, getStoredUser } from '../api/api';
+import RegistrationQuestions from '../components/RegistrationQuestions';
 
 const EventDetails = () => {
   // Get the event ID from the URL parameter
@@ -18,6 +19,21 @@ const EventDetails = () => {
   
   // State to store any error messages
   const [error, setError] = useState('');
+  
+  // State to store the result of registering for a whole series
+  const [seriesMessage, setSeriesMessage] = useState('');
+  const [seriesErrorDetails, setSeriesErrorDetails] = useState([]);
+  
+  // Answers to the registration questions for a whole series - shown as a form when the event has questions
+  const [showSeriesForm, setShowSeriesForm] = useState(false);
+  const [seriesAnswers, setSeriesAnswers] = useState({});
+  
+  // State for the check-in form (organizers only)
+  const [ticketCode, setTicketCode] = useState('');
+  const [checkInMessage, setCheckInMessage] = useState('');
+  
+  // State for the event statistics (loaded when the organizer asks for them)
+  const [stats, setStats] = useState(null);
 
   // useEffect runs when the component loads or when ID changes
   useEffect(() => {
@@ -49,6 +65,7 @@ const EventDetails = () => {
   };
 
   // Format the date to be more readable
+  // Dates are shown in the event's own timezone
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -56,10 +73,128 @@ const EventDetails = () => {
       month: 'long',
       day: 'numeric',
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone: event?.timezone || undefined,
+      timeZoneName: 'short'
+    });
+  };
+
+  // Format a time of day in the event's timezone, e.g. for the agenda
+  const formatTime = (dateString) => {
+    return new Date(dateString).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: event?.timezone || undefined
     });
   };
 
+  // Readable names for the event formats
+  const formatLabels = {
+    'in-person': 'In person',
+    'online': 'Online',
+    'hybrid': 'Hybrid'
+  };
+
+  // Only the event's organizer or an admin can cancel the event
+  const user = getStoredUser();
+  const canManageEvent = user && event && (user.role === 'admin' || user._id === event.organizer);
+
+  // Function to handle cancel event button click
+  const handleCancelEvent = async () => {
+    // Ask for confirmation before cancelling
+    const confirmed = window.confirm(`Are you sure you want to cancel "${event.title}"? All registrations will be cancelled.`);
+    
+    if (!confirmed) return;
+    
+    try {
+      const response = await cancelEvent(id);
+      setEvent(response.event);
+    } catch (err) {
+      setError(err.error || 'Failed to cancel event');
+      console.error('Error cancelling event:', err);
+    }
+  };
+
+  // Function to check in an attendee with the code from their ticket
+  const handleCheckIn = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setCheckInMessage('');
+      const response = await checkInAttendee(id, ticketCode.trim());
+      setCheckInMessage(`✅ ${response.message}`);
+      setTicketCode('');
+    } catch (err) {
+      setCheckInMessage(`❌ ${err.error || 'Failed to check in attendee'}`);
+      console.error('Error checking in attendee:', err);
+    }
+  };
+
+  // Function to download the attendee list (CSV or Excel)
+  const handleDownloadAttendees = async (format) => {
+    try {
+      await downloadAttendees(id, format);
+    } catch (err) {
+      setError(err.error || 'Failed to download attendee list');
+      console.error('Error downloading attendee list:', err);
+    }
+  };
+
+  // Function to load the event statistics
+  const handleLoadStats = async () => {
+    try {
+      const response = await getEventStats(id);
+      setStats(response.stats);
+    } catch (err) {
+      setError(err.error || 'Failed to load event statistics');
+      console.error('Error loading event statistics:', err);
+    }
+  };
+
+  // Show a price in cents (2500) with its currency ($25.00)
+  const formatPrice = (cents) => {
+    if (cents === 0) return 'Free';
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: event.currency || 'USD' }).format(cents / 100);
+  };
+
+  // Show a rate (0.25) as a percentage (25%)
+  const formatRate = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+  // Function to register for every upcoming occurrence of the series
+  // Events with registration questions first ask for the answers (they are used for every occurrence)
+  const handleRegisterForSeries = async (e) => {
+    e?.preventDefault(); // Prevent page refresh when the answers form is sent
+    
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    
+    if (event.registrationQuestions?.length > 0 && !showSeriesForm) {
+      setShowSeriesForm(true);
+      return;
+    }
+    
+    try {
+      setSeriesMessage('');
+      setSeriesErrorDetails([]);
+      const response = await registerForSeries(event.series, seriesAnswers);
+      setShowSeriesForm(false);
+      setSeriesMessage(
+        `Registered for ${response.confirmed} occurrence(s), waitlisted for ${response.waitlisted}` +
+        (response.alreadyRegistered ? `, already registered for ${response.alreadyRegistered}` : '')
+      );
+    } catch (err) {
+      setSeriesMessage(err.error || 'Failed to register for the series');
+      // Invalid answers come with one message per question
+      setSeriesErrorDetails(Array.isArray(err.details) ? err.details : []);
+      console.error('Error registering for series:', err);
+    }
+  };
+
+  // Registration is only possible inside the registration window and before the event starts
+  const registrationOpen = event?.registrationState ? event.registrationState.open : true;
+
   // Function to handle registration button click
   const handleRegisterClick = () => {
     // Navigate to registration page with event ID
@@ -111,6 +246,13 @@ const EventDetails = () => {
       <div style={eventDetailsStyle}>
         <h1>{event.title}</h1>
         
+        {/* Cancelled banner */}
+        {event.status === 'cancelled' && (
+          <div style={cancelledBannerStyle}>
+            This event has been cancelled.
+          </div>
+        )}
+        
         <div style={detailSectionStyle}>
           <h3>Description</h3>
           <p>{event.description}</p>
@@ -118,18 +260,247 @@ const EventDetails = () => {
         
         <div style={detailSectionStyle}>
           <h3>Date & Time</h3>
-          <p>{formatDate(event.date)}</p>
+          <p>
+            {formatDate(event.date)}
+            {event.endDate && <> – {formatDate(event.endDate)}</>}
+          </p>
+          <p style={mutedStyle}>Timezone: {event.timezone || 'UTC'}</p>
+          <a href={getEventCalendarUrl(event._id)} download>
+            📅 Add to Calendar (.ics)
+          </a>
+        </div>
+        
+        {event.series && (
+          <p style={mutedStyle}>This event is part of a recurring series.</p>
+        )}
+        
+        <div style={detailSectionStyle}>
+          <h3>Format</h3>
+          <p>{formatLabels[event.format] || 'In person'}</p>
+        </div>
+        
+        {/* Venue - for in-person and hybrid events */}
+        {(event.venue?.name || event.venue?.address) && (
+          <div style={detailSectionStyle}>
+            <h3>Venue</h3>
+            {event.venue.name && <p><strong>{event.venue.name}</strong></p>}
+            {event.venue.address && <p>{event.venue.address}</p>}
+            {event.venue.coordinates?.lat != null && event.venue.coordinates?.lng != null && (
+              <a
+                href={`https://www.openstreetmap.org/?mlat=${event.venue.coordinates.lat}&mlon=${event.venue.coordinates.lng}#map=17/${event.venue.coordinates.lat}/${event.venue.coordinates.lng}`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                Show on map
+              </a>
+            )}
+          </div>
+        )}
+        
+        {/* Online join link - the backend only sends it to registered attendees */}
+        {event.format !== 'in-person' && (
+          <div style={detailSectionStyle}>
+            <h3>Join Online</h3>
+            {event.onlineMeetingUrl ? (
+              <a href={event.onlineMeetingUrl} target="_blank" rel="noopener noreferrer">
+                {event.onlineMeetingUrl}
+              </a>
+            ) : (
+              <p style={mutedStyle}>The join link is shown to registered attendees.</p>
+            )}
+          </div>
+        )}
+        
+        <div style={detailSectionStyle}>
+          <h3>Capacity</h3>
+          <p>{event.capacity ? `${event.capacity} seats` : 'Unlimited'}</p>
         </div>
         
+        {/* Ticket types with their prices - events without ticket types are free */}
+        {event.ticketTypes?.length > 0 && (
+          <div style={detailSectionStyle}>
+            <h3>Tickets</h3>
+            <ul>
+              {event.ticketTypes.map((ticketType) => (
+                <li key={ticketType._id}>
+                  <strong>{ticketType.name}</strong> – {formatPrice(ticketType.price)}
+                  {ticketType.available !== null && ` (${ticketType.available} left)`}
+                  {!ticketType.onSale && <span style={mutedStyle}> – not on sale</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {/* Agenda of a multi-session event - attendees choose sessions on "My Registrations" */}
+        {event.sessions?.length > 0 && (
+          <div style={detailSectionStyle}>
+            <h3>Agenda</h3>
+            <ul>
+              {event.sessions.map((session) => (
+                <li key={session._id}>
+                  <strong>{formatTime(session.startsAt)} - {formatTime(session.endsAt)}: {session.title}</strong>
+                  {session.room && ` (${session.room})`}
+                  {session.speakers?.length > 0 && ` – ${session.speakers.join(', ')}`}
+                  {session.available !== null && <span style={mutedStyle}> – {session.available} seats left</span>}
+                  {session.description && <p style={mutedStyle}>{session.description}</p>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
         <div style={detailSectionStyle}>
           <h3>Event ID</h3>
           <p style={idStyle}>{event._id}</p>
         </div>
         
-        {/* Register button */}
-        <button onClick={handleRegisterClick} style={registerButtonStyle}>
-          Register for This Event
-        </button>
+        {/* Register button - disabled while registration is not open, hidden for cancelled events */}
+        {event.status !== 'cancelled' && (
+          <button 
+            onClick={handleRegisterClick} 
+            style={registrationOpen ? registerButtonStyle : disabledButtonStyle}
+            disabled={!registrationOpen}
+          >
+            Register for This Event
+          </button>
+        )}
+        {event.status !== 'cancelled' && !registrationOpen && (
+          <p style={mutedStyle}>{event.registrationState?.reason}</p>
+        )}
+        
+        {/* Recurring series - register for all upcoming occurrences at once */}
+        {event.series && event.status !== 'cancelled' && (
+          <button onClick={handleRegisterForSeries} style={seriesButtonStyle}>
+            Register for All Upcoming Dates
+          </button>
+        )}
+        
+        {/* Cancel event button - only for the organizer or an admin */}
+        {canManageEvent && event.status !== 'cancelled' && (
+          <button onClick={handleCancelEvent} style={cancelEventButtonStyle}>
+            Cancel Event
+          </button>
+        )}
+        
+        {/* Answers to the registration questions, used for every date of the series */}
+        {showSeriesForm && (
+          <form onSubmit={handleRegisterForSeries} style={checkInFormStyle}>
+            <h3>Register for All Upcoming Dates</h3>
+            <RegistrationQuestions 
+              questions={event.registrationQuestions} 
+              answers={seriesAnswers} 
+              onChange={setSeriesAnswers} 
+            />
+            <button type="submit" style={buttonStyle}>
+              Register
+            </button>
+          </form>
+        )}
+        
+        {seriesMessage && <p style={mutedStyle}>{seriesMessage}</p>}
+        {seriesErrorDetails.length > 0 && (
+          <ul style={mutedStyle}>
+            {seriesErrorDetails.map((detail) => (
+              <li key={detail}>{detail}</li>
+            ))}
+          </ul>
+        )}
+        
+        {/* Attendee list for venues and catering - only for the organizer or an admin */}
+        {canManageEvent && (
+          <div style={checkInFormStyle}>
+            <h3>Attendee List</h3>
+            <button onClick={() => handleDownloadAttendees('csv')} style={buttonStyle}>
+              Download CSV
+            </button>
+            <button onClick={() => handleDownloadAttendees('xlsx')} style={{ ...buttonStyle, marginLeft: '0.5rem' }}>
+              Download Excel
+            </button>
+          </div>
+        )}
+        
+        {/* Event statistics - only for the organizer or an admin */}
+        {canManageEvent && (
+          <div style={checkInFormStyle}>
+            <h3>Statistics</h3>
+            <button onClick={handleLoadStats} style={buttonStyle}>
+              {stats ? 'Refresh Statistics' : 'Show Statistics'}
+            </button>
+            
+            {stats && (
+              <div>
+                <p><strong>Registrations:</strong> {stats.total} ({stats.confirmed} confirmed, {stats.attended} attended, {stats.noShow} no-show, {stats.cancelled} cancelled)</p>
+                <p><strong>Waitlist:</strong> {stats.waitlistLength}</p>
+                <p><strong>Cancellation rate:</strong> {formatRate(stats.cancellationRate)}</p>
+                <p><strong>Check-in rate:</strong> {formatRate(stats.checkInRate)}</p>
+                
+                {stats.overTime.length > 0 && (
+                  <div>
+                    <strong>Registrations per day:</strong>
+                    <ul>
+                      {stats.overTime.map((day) => (
+                        <li key={day.period}>
+                          {day.period}: {day.registrations} new, {day.cancellations} cancelled
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                
+                {stats.sessions?.length > 0 && (
+                  <div>
+                    <strong>Attendance per session:</strong>
+                    <ul>
+                      {stats.sessions.map((session) => (
+                        <li key={session.sessionId}>
+                          {session.title}: {session.chosen} chosen
+                          {session.capacity !== null && ` of ${session.capacity} seats`}, {session.attended} attended ({formatRate(session.attendanceRate)})
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                
+                {stats.answers.map((question) => (
+                  <div key={question.key}>
+                    <strong>{question.label}:</strong>
+                    {question.options ? (
+                      <ul>
+                        {question.options.map((option) => (
+                          <li key={String(option.value)}>{String(option.value)}: {option.count}</li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span style={mutedStyle}>
+                        {' '}{question.answered} answered
+                        {question.average !== undefined && question.average !== null && `, average ${question.average.toFixed(1)}`}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        
+        {/* Check-in at the door - only for the organizer or an admin */}
+        {canManageEvent && event.status !== 'cancelled' && (
+          <form onSubmit={handleCheckIn} style={checkInFormStyle}>
+            <h3>Check In Attendees</h3>
+            <p style={mutedStyle}>Scan the attendee's QR code or type the code printed under it.</p>
+            <input
+              type="text"
+              value={ticketCode}
+              onChange={(e) => setTicketCode(e.target.value)}
+              placeholder="Ticket code"
+              style={checkInInputStyle}
+              required
+            />
+            <button type="submit" style={buttonStyle}>Check In</button>
+            {checkInMessage && <p>{checkInMessage}</p>}
+          </form>
+        )}
       </div>
     </div>
   );
@@ -163,6 +534,11 @@ const detailSectionStyle = {
   marginBottom: '1.5rem'
 };
 
+const mutedStyle = {
+  color: '#666',
+  fontSize: '0.9rem'
+};
+
 const idStyle = {
   fontFamily: 'monospace',
   backgroundColor: '#f8f9fa',
@@ -182,6 +558,61 @@ const registerButtonStyle = {
   marginTop: '1rem'
 };
 
+const disabledButtonStyle = {
+  ...registerButtonStyle,
+  backgroundColor: '#bdc3c7',
+  cursor: 'not-allowed'
+};
+
+const cancelledBannerStyle = {
+  backgroundColor: '#f8d7da',
+  color: '#721c24',
+  padding: '1rem',
+  borderRadius: '4px',
+  border: '1px solid #f5c6cb',
+  marginBottom: '1.5rem',
+  fontWeight: 'bold'
+};
+
+const seriesButtonStyle = {
+  backgroundColor: '#8e44ad',
+  color: 'white',
+  padding: '1rem 2rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '1.1rem',
+  marginTop: '1rem',
+  marginLeft: '1rem'
+};
+
+const cancelEventButtonStyle = {
+  backgroundColor: '#e74c3c',
+  color: 'white',
+  padding: '1rem 2rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '1.1rem',
+  marginTop: '1rem',
+  marginLeft: '1rem'
+};
+
+const checkInFormStyle = {
+  marginTop: '2rem',
+  paddingTop: '1rem',
+  borderTop: '1px solid #ddd'
+};
+
+const checkInInputStyle = {
+  padding: '0.5rem',
+  fontFamily: 'monospace',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  width: '320px',
+  marginRight: '0.5rem'
+};
+
 const errorStyle = {
   color: 'red',
   marginBottom: '1rem'
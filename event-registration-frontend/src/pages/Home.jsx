@@ -1,10 +1,13 @@
 // pages/Home.jsx - Home page component
-// This page displays a list of all available events
+// This page displays a list of events with search, filters and pagination
 
 import { useState, useEffect } from 'react';
 import EventCard from '../components/EventCard';
 import { getAllEvents } from '../api/api';
 
+// Number of events shown per page
+const PAGE_SIZE = 10;
+
 const Home = () => {
   // State to store the list of events
   const [events, setEvents] = useState([]);
@@ -14,12 +17,21 @@ const Home = () => {
   
   // State to store any error messages
   const [error, setError] = useState('');
+  
+  // State to store the search text and filters
+  const [search, setSearch] = useState('');
+  const [when, setWhen] = useState('upcoming');
+  
+  // State to store pagination info
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
 
   // useEffect runs when the component first loads
-  // It fetches all events from the backend
+  // and again every time the filter or the page changes
   useEffect(() => {
     fetchEvents();
-  }, []); // Empty dependency array means this runs only once
+  }, [when, page]);
 
   // Function to fetch events from the API
   const fetchEvents = async () => {
@@ -27,11 +39,18 @@ const Home = () => {
       setLoading(true);
       setError('');
       
-      // Call the API to get all events
-      const response = await getAllEvents();
+      // Call the API to get one page of events
+      const response = await getAllEvents({
+        search: search.trim() || undefined,
+        when: when || undefined,
+        page: page,
+        limit: PAGE_SIZE
+      });
       
-      // Set the events in our state
+      // Set the events and pagination info in our state
       setEvents(response.events || []);
+      setTotalPages(response.totalPages || 0);
+      setTotal(response.total || 0);
       
     } catch (err) {
       // If something goes wrong, show an error message
@@ -43,45 +62,93 @@ const Home = () => {
     }
   };
 
-  // Show loading message while fetching data
-  if (loading) {
-    return (
-      <div style={containerStyle}>
-        <h2>Loading events...</h2>
-      </div>
-    );
-  }
-
-  // Show error message if something went wrong
-  if (error) {
-    return (
-      <div style={containerStyle}>
-        <h2>Error</h2>
-        <p style={errorStyle}>{error}</p>
-        <button onClick={fetchEvents} style={buttonStyle}>
-          Try Again
-        </button>
-      </div>
-    );
-  }
+  // Function to handle search form submission
+  const handleSearch = (e) => {
+    e.preventDefault(); // Prevent page refresh
+    
+    // A new search always starts on the first page
+    if (page === 1) {
+      fetchEvents();
+    } else {
+      setPage(1);
+    }
+  };
+
+  // Function to handle upcoming/past/all filter change
+  const handleWhenChange = (e) => {
+    setWhen(e.target.value);
+    setPage(1);
+  };
 
   return (
     <div style={containerStyle}>
       <h1>Available Events</h1>
       
+      {/* Search and filter form */}
+      <form onSubmit={handleSearch} style={filterFormStyle}>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search events..."
+          style={searchInputStyle}
+        />
+        <select value={when} onChange={handleWhenChange} style={selectStyle}>
+          <option value="upcoming">Upcoming</option>
+          <option value="past">Past</option>
+          <option value="">All</option>
+        </select>
+        <button type="submit" style={buttonStyle}>Search</button>
+      </form>
+      
+      {/* Show loading message while fetching data */}
+      {loading && <h2>Loading events...</h2>}
+      
+      {/* Show error message if something went wrong */}
+      {!loading && error && (
+        <>
+          <h2>Error</h2>
+          <p style={errorStyle}>{error}</p>
+          <button onClick={fetchEvents} style={buttonStyle}>
+            Try Again
+          </button>
+        </>
+      )}
+      
       {/* Show message if no events found */}
-      {events.length === 0 ? (
-        <p>No events available at the moment.</p>
+      {!loading && !error && (events.length === 0 ? (
+        <p>No events found.</p>
       ) : (
         <>
-          <p>Found {events.length} event(s)</p>
+          <p>Found {total} event(s)</p>
           
           {/* Display each event using EventCard component */}
           {events.map((event) => (
             <EventCard key={event._id} event={event} />
           ))}
+          
+          {/* Pagination buttons */}
+          {totalPages > 1 && (
+            <div style={paginationStyle}>
+              <button 
+                onClick={() => setPage(page - 1)} 
+                disabled={page <= 1}
+                style={buttonStyle}
+              >
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button 
+                onClick={() => setPage(page + 1)} 
+                disabled={page >= totalPages}
+                style={buttonStyle}
+              >
+                Next →
+              </button>
+            </div>
+          )}
         </>
-      )}
+      ))}
     </div>
   );
 };
@@ -93,6 +160,34 @@ const containerStyle = {
   padding: '1rem'
 };
 
+const filterFormStyle = {
+  display: 'flex',
+  gap: '0.5rem',
+  marginBottom: '1rem'
+};
+
+const searchInputStyle = {
+  flex: 1,
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem'
+};
+
+const selectStyle = {
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem'
+};
+
+const paginationStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  marginTop: '1rem'
+};
+
 const errorStyle = {
   color: 'red',
   marginBottom: '1rem'
@@ -107,4 +202,4 @@ const buttonStyle = {
   cursor: 'pointer'
 };
 
-export default Home;
\ No newline at end of file
+export default Home;
@@ -0,0 +1,190 @@
+// pages/Login.jsx - Login page component
+// This page allows existing users to log in with their email and password
+
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { login } from '../api/api';
+
+const Login = () => {
+  const navigate = useNavigate();
+  
+  // State to store form input values
+  const [formData, setFormData] = useState({
+    email: '',
+    password: ''
+  });
+  
+  // State to track form submission status
+  const [loading, setLoading] = useState(false);
+  
+  // State to store error messages
+  const [error, setError] = useState('');
+
+  // Function to handle input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    
+    // Update the form data state
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Clear any previous error when user starts typing
+    setError('');
+  };
+
+  // Function to handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault(); // Prevent page refresh
+    
+    // Basic form validation
+    if (!formData.email.trim() || !formData.password) {
+      setError('Please fill in all fields');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      // Call the API to log in - the token is stored automatically
+      await login(formData);
+      
+      // Go to the events list after logging in
+      navigate('/');
+      
+    } catch (err) {
+      // Show error message if something goes wrong
+      setError(err.error || 'Failed to log in');
+      console.error('Error logging in:', err);
+    } finally {
+      // Always set loading to false when done
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Login</h1>
+      <p>Log in to register for events and manage your registrations</p>
+      
+      {/* Login form */}
+      <form onSubmit={handleSubmit} style={formStyle}>
+        {/* Email input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="email" style={labelStyle}>Email Address:</label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            placeholder="Enter your email address"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Password input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="password" style={labelStyle}>Password:</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            placeholder="Enter your password"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
+        {/* Submit button */}
+        <button 
+          type="submit" 
+          style={buttonStyle} 
+          disabled={loading}
+        >
+          {loading ? 'Logging in...' : 'Login'}
+        </button>
+        
+        <p style={helpTextStyle}>
+          Don't have an account? <Link to="/register-user">Register here</Link>
+        </p>
+      </form>
+      
+      {/* Error message */}
+      {error && (
+        <div style={errorStyle}>
+          <p>{error}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Simple CSS styles
+const containerStyle = {
+  maxWidth: '600px',
+  margin: '0 auto',
+  padding: '1rem'
+};
+
+const formStyle = {
+  backgroundColor: 'white',
+  padding: '2rem',
+  borderRadius: '8px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  marginBottom: '1rem'
+};
+
+const inputGroupStyle = {
+  marginBottom: '1.5rem'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: 'bold',
+  color: '#333'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+  backgroundColor: '#3498db',
+  color: 'white',
+  padding: '0.75rem 2rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '1rem',
+  width: '100%'
+};
+
+const helpTextStyle = {
+  marginTop: '1rem',
+  color: '#666',
+  fontSize: '0.9rem',
+  textAlign: 'center'
+};
+
+const errorStyle = {
+  backgroundColor: '#f8d7da',
+  color: '#721c24',
+  padding: '1rem',
+  borderRadius: '4px',
+  border: '1px solid #f5c6cb',
+  marginBottom: '1rem'
+};
+
+export default Login;
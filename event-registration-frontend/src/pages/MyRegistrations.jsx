@@ -1,12 +1,15 @@
 // pages/MyRegistrations.jsx - User registrations page component
 // This page shows all events a user has registered for
 
-import { useState } from 'react';
-import { getUserRegistrations, cancelRegistration } from '../api/api';
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getUserRegistrations, cancelRegistration, transferRegistration, chooseSessions, getCalendarFeedUrl, getTicket, getStoredUser } from '../api/api';
 
 const MyRegistrations = () => {
-  // State to store user ID input
-  const [userId, setUserId] = useState('');
+  const navigate = useNavigate();
+  
+  // The logged in user - we show their registrations
+  const user = getStoredUser();
   
   // State to store user registrations
   const [registrations, setRegistrations] = useState([]);
@@ -23,33 +26,32 @@ const MyRegistrations = () => {
   // State to store success/error messages
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
+  
+  // State to store the personal calendar feed URL
+  const [feedUrl, setFeedUrl] = useState('');
+  
+  // State to store the loaded tickets, by registration ID
+  const [tickets, setTickets] = useState({});
+  
+  // State to store the sessions ticked but not saved yet, by registration ID
+  const [sessionChoices, setSessionChoices] = useState({});
 
-  // Function to handle user ID input change
-  const handleUserIdChange = (e) => {
-    setUserId(e.target.value);
-    
-    // Clear any previous messages when user starts typing
-    setMessage('');
-    setError('');
-  };
+  // useEffect runs when the component loads to fetch the registrations
+  useEffect(() => {
+    if (user) {
+      fetchRegistrations();
+    }
+  }, []);
 
   // Function to fetch user registrations
-  const fetchRegistrations = async (e) => {
-    if (e) e.preventDefault(); // Prevent page refresh if called from form
-    
-    // Basic validation
-    if (!userId.trim()) {
-      setError('Please enter your User ID');
-      return;
-    }
-    
+  const fetchRegistrations = async () => {
     try {
       setLoading(true);
       setError('');
       setMessage('');
       
       // Call the API to get user registrations
-      const response = await getUserRegistrations(userId.trim());
+      const response = await getUserRegistrations(user._id);
       
       // Set the registrations and user name in our state
       setRegistrations(response.registrations || []);
@@ -87,9 +89,9 @@ const MyRegistrations = () => {
       // Call the API to cancel the registration
       await cancelRegistration(registrationId);
       
-      // Remove the canceled registration from our state
+      // The registration stays in the list, marked as cancelled
       setRegistrations(prev => 
-        prev.filter(reg => reg._id !== registrationId)
+        prev.map(reg => reg._id === registrationId ? { ...reg, status: 'cancelled' } : reg)
       );
       
       // Show success message
@@ -102,6 +104,107 @@ const MyRegistrations = () => {
     }
   };
 
+  // Function to hand a registration to someone else (e.g. a colleague)
+  const handleTransferRegistration = async (registrationId, eventTitle) => {
+    const email = window.prompt(`Email of the person who should go to "${eventTitle}" instead of you:`);
+    if (!email) return;
+    
+    // Only needed if they do not have an account yet
+    const name = window.prompt('Their name (only needed if they do not have an account yet):') || undefined;
+    
+    try {
+      setError('');
+      setMessage('');
+      
+      // Call the API to transfer the registration
+      const response = await transferRegistration(registrationId, { email, name });
+      
+      // The registration now belongs to the other person - remove it from the list
+      setRegistrations(prev => prev.filter(reg => reg._id !== registrationId));
+      setTickets(prev => ({ ...prev, [registrationId]: undefined }));
+      
+      // Show success message
+      setMessage(response.message);
+      
+    } catch (err) {
+      // Show error message if something goes wrong
+      setError(err.error || 'Failed to transfer registration');
+      console.error('Error transferring registration:', err);
+    }
+  };
+
+  // The session IDs currently ticked for a registration (the saved ones until something is changed)
+  const getChosenSessions = (registration) => 
+    sessionChoices[registration._id] || registration.sessionIds || [];
+
+  // Function to tick or untick a session
+  const handleToggleSession = (registration, sessionId) => {
+    const chosen = getChosenSessions(registration);
+    setSessionChoices(prev => ({
+      ...prev,
+      [registration._id]: chosen.includes(sessionId) 
+        ? chosen.filter(id => id !== sessionId) 
+        : [...chosen, sessionId]
+    }));
+  };
+
+  // Function to save the ticked sessions
+  const handleSaveSessions = async (registration) => {
+    try {
+      setError('');
+      setMessage('');
+      
+      // Call the API to save the sessions - overlapping or full sessions are rejected
+      const response = await chooseSessions(registration._id, getChosenSessions(registration));
+      
+      // Update the registration in our state and forget the unsaved choice
+      setRegistrations(prev => 
+        prev.map(reg => reg._id === registration._id ? { ...reg, sessionIds: response.registration.sessionIds } : reg)
+      );
+      setSessionChoices(prev => ({ ...prev, [registration._id]: undefined }));
+      
+      // Show success message
+      setMessage(`${response.message} for "${registration.eventId.title}"`);
+      
+    } catch (err) {
+      // Show error message (and the overlapping sessions) if something goes wrong
+      setError([err.error || 'Failed to save sessions', ...(err.conflicts || [])].join(' - '));
+      console.error('Error saving sessions:', err);
+    }
+  };
+
+  // Function to show the personal calendar feed URL
+  const handleShowFeedUrl = async () => {
+    try {
+      setError('');
+      const response = await getCalendarFeedUrl();
+      setFeedUrl(response.feedUrl);
+    } catch (err) {
+      setError(err.error || 'Failed to get calendar feed URL');
+      console.error('Error getting calendar feed URL:', err);
+    }
+  };
+
+  // Function to show the QR code ticket of a registration
+  const handleShowTicket = async (registrationId) => {
+    try {
+      setError('');
+      const ticket = await getTicket(registrationId);
+      setTickets(prev => ({ ...prev, [registrationId]: ticket }));
+    } catch (err) {
+      setError(err.error || 'Failed to load ticket');
+      console.error('Error loading ticket:', err);
+    }
+  };
+
+  // Format a time of day, e.g. for the sessions of an event
+  const formatTime = (dateString) => {
+    return new Date(dateString).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   // Format the date to be more readable
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -118,30 +221,35 @@ const MyRegistrations = () => {
     <div style={containerStyle}>
       <h1>My Event Registrations</h1>
       
-      {/* User ID input form */}
-      <form onSubmit={fetchRegistrations} style={formStyle}>
-        <div style={inputGroupStyle}>
-          <label htmlFor="userId" style={labelStyle}>Enter Your User ID:</label>
-          <div style={inputRowStyle}>
-            <input
-              type="text"
-              id="userId"
-              value={userId}
-              onChange={handleUserIdChange}
-              placeholder="Enter your User ID"
-              style={inputStyle}
-              disabled={loading}
-            />
-            <button 
-              type="submit" 
-              style={searchButtonStyle} 
-              disabled={loading}
-            >
-              {loading ? 'Loading...' : 'View Registrations'}
+      {/* Only logged in users have registrations */}
+      {!user && (
+        <div style={formStyle}>
+          <p>Please log in to see your registrations.</p>
+          <button onClick={() => navigate('/login')} style={searchButtonStyle}>
+            Login
+          </button>
+        </div>
+      )}
+      
+      {loading && <p>Loading registrations...</p>}
+      
+      {/* Calendar subscription - keeps all registered events in the user's calendar app */}
+      {user && (
+        <div style={formStyle}>
+          <h3>📅 Calendar Subscription</h3>
+          {feedUrl ? (
+            <>
+              <p>Subscribe to this URL in your calendar app (Google Calendar, Outlook, Apple Calendar):</p>
+              <input type="text" value={feedUrl} readOnly style={feedUrlStyle} onFocus={(e) => e.target.select()} />
+              <small>Keep this URL private - anyone with it can see your events.</small>
+            </>
+          ) : (
+            <button onClick={handleShowFeedUrl} style={searchButtonStyle}>
+              Get Calendar Feed URL
             </button>
-          </div>
+          )}
         </div>
-      </form>
+      )}
       
       {/* Success message */}
       {message && (
@@ -175,14 +283,87 @@ const MyRegistrations = () => {
                   <p><strong>Description:</strong> {registration.eventId.description}</p>
                   <p><strong>Event Date:</strong> {formatDate(registration.eventId.date)}</p>
                   <p><strong>Registered On:</strong> {formatDate(registration.registeredAt)}</p>
+                  <p>
+                    <strong>Status:</strong>{' '}
+                    <span style={getStatusDisplay(registration)?.style}>
+                      {getStatusDisplay(registration)?.label || registration.status}
+                    </span>
+                  </p>
+                  {registration.approval?.message && (
+                    <p><strong>Message from the organizer:</strong> {registration.approval.message}</p>
+                  )}
+                  {registration.approval?.promoCodeError && (
+                    <p><strong>Promo code not applied:</strong> {registration.approval.promoCodeError} - the ticket is at full price</p>
+                  )}
                   
-                  {/* Cancel button */}
-                  <button 
-                    onClick={() => handleCancelRegistration(registration._id, registration.eventId.title)}
-                    style={cancelButtonStyle}
-                  >
-                    Cancel Registration
-                  </button>
+                  {/* Ticket - shown at the door and scanned by the organizer */}
+                  {['confirmed', 'attended'].includes(registration.status) && (
+                    tickets[registration._id] ? (
+                      <div style={ticketStyle}>
+                        <img src={tickets[registration._id].qrCode} alt="Ticket QR code" style={qrCodeStyle} />
+                        <p style={ticketCodeStyle}>{tickets[registration._id].ticketCode}</p>
+                        {tickets[registration._id].checkedInAt && (
+                          <p>Checked in on {formatDate(tickets[registration._id].checkedInAt)}</p>
+                        )}
+                      </div>
+                    ) : (
+                      <button onClick={() => handleShowTicket(registration._id)} style={ticketButtonStyle}>
+                        Show Ticket
+                      </button>
+                    )
+                  )}
+                  
+                  {/* Agenda - confirmed attendees pick the sessions they want to go to */}
+                  {registration.status === 'confirmed' && registration.eventId.status !== 'cancelled' &&
+                    registration.eventId.sessions?.length > 0 && (
+                    <div style={sessionsStyle}>
+                      <strong>Sessions:</strong>
+                      {registration.eventId.sessions.map((session) => (
+                        <label key={session._id} style={sessionLabelStyle}>
+                          <input 
+                            type="checkbox"
+                            checked={getChosenSessions(registration).includes(session._id)}
+                            onChange={() => handleToggleSession(registration, session._id)}
+                            disabled={session.available === 0 && !getChosenSessions(registration).includes(session._id)}
+                          />
+                          {' '}{formatTime(session.startsAt)} - {formatTime(session.endsAt)}: {session.title}
+                          {session.room && ` (${session.room})`}
+                          {session.available === 0 && ' - full'}
+                        </label>
+                      ))}
+                      <button onClick={() => handleSaveSessions(registration)} style={ticketButtonStyle}>
+                        Save Sessions
+                      </button>
+                    </div>
+                  )}
+                  
+                  {/* Cancelled events and registrations can not be cancelled again */}
+                  {registration.eventId.status === 'cancelled' && (
+                    <p style={cancelledEventStyle}>This event has been cancelled by the organizer.</p>
+                  )}
+                  {registration.eventId.status !== 'cancelled' && ['confirmed', 'waitlisted', 'pending'].includes(registration.status) && (
+                    registration.eventId.registrationState?.canCancel === false && registration.status !== 'pending' ? (
+                      <p style={cancelledEventStyle}>This registration can no longer be cancelled.</p>
+                    ) : (
+                      <button 
+                        onClick={() => handleCancelRegistration(registration._id, registration.eventId.title)}
+                        style={cancelButtonStyle}
+                      >
+                        Cancel Registration
+                      </button>
+                    )
+                  )}
+                  
+                  {/* Can't make it - give the seat to someone else instead of cancelling */}
+                  {registration.eventId.status !== 'cancelled' && !registration.eventId.requiresApproval &&
+                    ['confirmed', 'waitlisted'].includes(registration.status) && (
+                    <button 
+                      onClick={() => handleTransferRegistration(registration._id, registration.eventId.title)}
+                      style={transferButtonStyle}
+                    >
+                      Transfer to Someone Else
+                    </button>
+                  )}
                 </div>
               ))}
             </>
@@ -208,30 +389,6 @@ const formStyle = {
   marginBottom: '1.5rem'
 };
 
-const inputGroupStyle = {
-  marginBottom: '1rem'
-};
-
-const labelStyle = {
-  display: 'block',
-  marginBottom: '0.5rem',
-  fontWeight: 'bold',
-  color: '#333'
-};
-
-const inputRowStyle = {
-  display: 'flex',
-  gap: '0.5rem'
-};
-
-const inputStyle = {
-  flex: 1,
-  padding: '0.75rem',
-  border: '1px solid #ddd',
-  borderRadius: '4px',
-  fontSize: '1rem'
-};
-
 const searchButtonStyle = {
   backgroundColor: '#3498db',
   color: 'white',
@@ -242,6 +399,16 @@ const searchButtonStyle = {
   fontSize: '1rem'
 };
 
+const feedUrlStyle = {
+  width: '100%',
+  padding: '0.5rem',
+  fontFamily: 'monospace',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  boxSizing: 'border-box',
+  marginBottom: '0.5rem'
+};
+
 const registrationsStyle = {
   marginTop: '1rem'
 };
@@ -255,6 +422,98 @@ const registrationCardStyle = {
   border: '1px solid #ddd'
 };
 
+const confirmedStyle = {
+  color: '#27ae60',
+  fontWeight: 'bold'
+};
+
+const waitlistedStyle = {
+  color: '#e67e22',
+  fontWeight: 'bold'
+};
+
+const cancelledStyle = {
+  color: '#e74c3c',
+  fontWeight: 'bold'
+};
+
+const attendedStyle = {
+  color: '#2980b9',
+  fontWeight: 'bold'
+};
+
+const noShowStyle = {
+  color: '#7f8c8d',
+  fontWeight: 'bold'
+};
+
+// Label and color shown for each registration status
+const statusDisplay = {
+  pending: { label: 'Awaiting payment', style: waitlistedStyle },
+  confirmed: { label: 'Confirmed', style: confirmedStyle },
+  waitlisted: { label: 'Waitlisted', style: waitlistedStyle },
+  cancelled: { label: 'Cancelled', style: cancelledStyle },
+  attended: { label: 'Attended', style: attendedStyle },
+  'no-show': { label: 'No-show', style: noShowStyle }
+};
+
+// Label and color of a registration - registrations for events that require approval
+// show the organizer's decision instead
+const getStatusDisplay = (registration) => {
+  if (registration.approval?.status === 'pending' && registration.status === 'pending') {
+    return { label: 'Awaiting approval', style: waitlistedStyle };
+  }
+  if (registration.approval?.status === 'rejected' && registration.status === 'cancelled') {
+    return { label: 'Not approved', style: cancelledStyle };
+  }
+  return statusDisplay[registration.status];
+};
+
+const sessionsStyle = {
+  marginTop: '1rem'
+};
+
+const sessionLabelStyle = {
+  display: 'block',
+  margin: '0.25rem 0'
+};
+
+const cancelledEventStyle = {
+  color: '#721c24',
+  fontStyle: 'italic',
+  marginTop: '1rem'
+};
+
+const ticketStyle = {
+  textAlign: 'center',
+  padding: '1rem',
+  border: '1px dashed #999',
+  borderRadius: '8px',
+  marginTop: '1rem'
+};
+
+const qrCodeStyle = {
+  width: '200px',
+  height: '200px'
+};
+
+const ticketCodeStyle = {
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+  color: '#666'
+};
+
+const ticketButtonStyle = {
+  backgroundColor: '#3498db',
+  color: 'white',
+  padding: '0.5rem 1rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginTop: '1rem',
+  marginRight: '1rem'
+};
+
 const cancelButtonStyle = {
   backgroundColor: '#e74c3c',
   color: 'white',
@@ -265,6 +524,17 @@ const cancelButtonStyle = {
   marginTop: '1rem'
 };
 
+const transferButtonStyle = {
+  backgroundColor: '#8e44ad',
+  color: 'white',
+  padding: '0.5rem 1rem',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginTop: '1rem',
+  marginLeft: '1rem'
+};
+
 const successStyle = {
   backgroundColor: '#d4edda',
   color: '#155724',
@@ -3,7 +3,8 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getEventById, registerForEvent } from '../api/api';
+import { getEventById, registerForEvent, payForRegistration, getStoredUser } from '../api/api';
+import RegistrationQuestions from '../components/RegistrationQuestions';
 
 const RegisterEvent = () => {
   // Get the event ID from the URL parameter
@@ -13,16 +14,28 @@ const RegisterEvent = () => {
   // State to store event details
   const [event, setEvent] = useState(null);
   
-  // State to store user ID input
-  const [userId, setUserId] = useState('');
+  // The logged in user - registrations are always made for this user
+  const user = getStoredUser();
   
   // State to track loading status
   const [loading, setLoading] = useState(false);
   const [eventLoading, setEventLoading] = useState(true);
   
+  // State to store the answers to the event's registration questions, by question key
+  const [answers, setAnswers] = useState({});
+  
+  // State for paid tickets - the chosen ticket type, the registration waiting for payment and the card number
+  const [ticketTypeId, setTicketTypeId] = useState('');
+  const [pendingRegistration, setPendingRegistration] = useState(null);
+  const [cardNumber, setCardNumber] = useState('');
+  
+  // Promo code for a discount on a paid ticket (optional)
+  const [promoCode, setPromoCode] = useState('');
+  
   // State to store success/error messages
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState([]);
 
   // useEffect runs when the component loads to fetch event details
   useEffect(() => {
@@ -43,6 +56,10 @@ const RegisterEvent = () => {
       // Set the event details in our state
       setEvent(response.event);
       
+      // Pre-select the first ticket type that is on sale
+      const firstOnSale = response.event.ticketTypes?.find((ticketType) => ticketType.onSale);
+      setTicketTypeId(firstOnSale ? firstOnSale._id : '');
+      
     } catch (err) {
       // If something goes wrong, show an error message
       setError(err.error || 'Failed to load event details');
@@ -53,48 +70,53 @@ const RegisterEvent = () => {
     }
   };
 
-  // Function to handle user ID input change
-  const handleUserIdChange = (e) => {
-    setUserId(e.target.value);
-    
-    // Clear any previous messages when user starts typing
-    setMessage('');
-    setError('');
-  };
-
   // Function to handle registration form submission
   const handleSubmit = async (e) => {
     e.preventDefault(); // Prevent page refresh
     
-    // Basic validation
-    if (!userId.trim()) {
-      setError('Please enter your User ID');
+    // Only logged in users can register
+    if (!user) {
+      setError('Please log in to register for this event');
       return;
     }
     
     try {
       setLoading(true);
       setError('');
+      setErrorDetails([]);
       setMessage('');
       
       // Prepare registration data
+      // The backend takes the user from the login token
       const registrationData = {
-        userId: userId.trim(),
-        eventId: eventId
+        eventId: eventId,
+        ticketTypeId: ticketTypeId || undefined,
+        promoCode: promoCode.trim() || undefined,
+        answers: answers
       };
       
       // Call the API to register for the event
       const response = await registerForEvent(registrationData);
       
       // Show success message
-      setMessage('Successfully registered for the event!');
-      
-      // Clear the user ID input
-      setUserId('');
+      // If the event was full, the backend puts the user on the waitlist
+      // Paid tickets have to be paid before the registration is confirmed
+      // Events that require approval wait for the organizer
+      if (response.registration?.approval?.status === 'pending') {
+        setMessage('Your registration has been sent - the organizer will review it and email you.');
+      } else if (response.registration?.status === 'pending') {
+        setPendingRegistration(response.registration);
+      } else if (response.registration?.status === 'waitlisted') {
+        setMessage('The event is full - you have been added to the waitlist.');
+      } else {
+        setMessage('Successfully registered for the event!');
+      }
       
     } catch (err) {
       // Show error message if something goes wrong
       setError(err.error || 'Failed to register for event');
+      // Invalid answers come with one message per question
+      setErrorDetails(Array.isArray(err.details) ? err.details : []);
       console.error('Error registering for event:', err);
     } finally {
       // Always set loading to false when done
@@ -102,6 +124,30 @@ const RegisterEvent = () => {
     }
   };
 
+  // Function to pay for the reserved seat
+  const handlePayment = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setLoading(true);
+      setError('');
+      await payForRegistration(pendingRegistration._id, { cardNumber });
+      setPendingRegistration(null);
+      setMessage('Payment received - you are registered for the event!');
+    } catch (err) {
+      setError(err.error || 'Payment failed');
+      console.error('Error paying for registration:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Show a price in cents (2500) with its currency ($25.00)
+  const formatPrice = (cents) => {
+    if (cents === 0) return 'Free';
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: event.currency || 'USD' }).format(cents / 100);
+  };
+
   // Format the date to be more readable
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -150,44 +196,129 @@ const RegisterEvent = () => {
         <h2>{event.title}</h2>
         <p><strong>Date:</strong> {formatDate(event.date)}</p>
         <p><strong>Description:</strong> {event.description}</p>
+        {event.capacity && (
+          <p><strong>Capacity:</strong> {event.capacity} seats</p>
+        )}
+        {event.requiresApproval && (
+          <p><em>Registrations for this event are reviewed by the organizer.</em></p>
+        )}
       </div>
       
       {/* Registration form */}
       <form onSubmit={handleSubmit} style={formStyle}>
         <h3>Registration Details</h3>
         
-        <div style={inputGroupStyle}>
-          <label htmlFor="userId" style={labelStyle}>Your User ID:</label>
-          <input
-            type="text"
-            id="userId"
-            value={userId}
-            onChange={handleUserIdChange}
-            placeholder="Enter your User ID (from user registration)"
-            style={inputStyle}
-            disabled={loading}
-          />
-          <small style={helpTextStyle}>
-            Don't have a User ID? <button 
+        {user ? (
+          <p>Registering as <strong>{user.name}</strong> ({user.email})</p>
+        ) : (
+          <p style={helpTextStyle}>
+            You need to be logged in to register.{' '}
+            <button 
+              type="button" 
+              onClick={() => navigate('/login')} 
+              style={linkButtonStyle}
+            >
+              Log in
+            </button>
+            {' '}or{' '}
+            <button 
               type="button" 
               onClick={() => navigate('/register-user')} 
               style={linkButtonStyle}
             >
-              Register as a new user first
+              create an account
             </button>
-          </small>
-        </div>
+          </p>
+        )}
+        
+        {/* Ticket types - only for events that sell tickets */}
+        {user && event.ticketTypes?.length > 0 && (
+          <div style={questionStyle}>
+            <span style={questionLabelStyle}>Ticket *</span>
+            {event.ticketTypes.map((ticketType) => (
+              <label key={ticketType._id} style={checkboxLabelStyle}>
+                <input
+                  type="radio"
+                  name="ticketType"
+                  value={ticketType._id}
+                  checked={ticketTypeId === ticketType._id}
+                  onChange={() => setTicketTypeId(ticketType._id)}
+                  disabled={!ticketType.onSale}
+                />
+                {' '}{ticketType.name} – {formatPrice(ticketType.price)}
+                {!ticketType.onSale && ' (not on sale)'}
+              </label>
+            ))}
+          </div>
+        )}
+        
+        {/* Promo code - only paid tickets can be discounted */}
+        {user && event.ticketTypes?.find((ticketType) => ticketType._id === ticketTypeId)?.price > 0 && (
+          <div style={questionStyle}>
+            <label htmlFor="promoCode" style={questionLabelStyle}>Promo code</label>
+            <input
+              id="promoCode"
+              type="text"
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value)}
+              placeholder="e.g. EARLY20"
+              style={inputStyle}
+            />
+          </div>
+        )}
+        
+        {/* The event's own questions - the form is built from the event's question list */}
+        {user && (
+          <RegistrationQuestions 
+            questions={event.registrationQuestions} 
+            answers={answers} 
+            onChange={setAnswers} 
+          />
+        )}
+        
+        {/* Registration closed, not open yet or the event already started */}
+        {event.registrationState && !event.registrationState.open && (
+          <p style={helpTextStyle}>{event.registrationState.reason}</p>
+        )}
         
         {/* Submit button */}
         <button 
           type="submit" 
           style={submitButtonStyle} 
-          disabled={loading}
+          disabled={loading || !user || !!pendingRegistration || event.registrationState?.open === false}
         >
           {loading ? 'Registering...' : 'Register for Event'}
         </button>
       </form>
       
+      {/* Payment form - the seat is reserved until the payment goes through */}
+      {pendingRegistration && (
+        <form onSubmit={handlePayment} style={formStyle}>
+          <h3>Payment</h3>
+          <p>
+            Your seat is reserved until {formatDate(pendingRegistration.payment.expiresAt)}. 
+            Please pay {formatPrice(pendingRegistration.payment.amount)} to confirm it.
+          </p>
+          {pendingRegistration.payment.discount > 0 && (
+            <p style={helpTextStyle}>
+              Promo code {pendingRegistration.promoCode}: {formatPrice(pendingRegistration.payment.discount)} off
+            </p>
+          )}
+          <input
+            type="text"
+            value={cardNumber}
+            onChange={(e) => setCardNumber(e.target.value)}
+            placeholder="Card number"
+            style={inputStyle}
+            required
+          />
+          <small style={helpTextStyle}>Test mode: use 4242 4242 4242 4242 (4000 0000 0000 0002 is declined)</small>
+          <button type="submit" style={submitButtonStyle} disabled={loading}>
+            {loading ? 'Paying...' : 'Pay Now'}
+          </button>
+        </form>
+      )}
+      
       {/* Success message */}
       {message && (
         <div style={successStyle}>
@@ -202,6 +333,11 @@ const RegisterEvent = () => {
       {error && (
         <div style={errorStyle}>
           <p>{error}</p>
+          {errorDetails.length > 0 && (
+            <ul>
+              {errorDetails.map((detail) => <li key={detail}>{detail}</li>)}
+            </ul>
+          )}
         </div>
       )}
     </div>
@@ -241,26 +377,6 @@ const formStyle = {
   marginBottom: '1rem'
 };
 
-const inputGroupStyle = {
-  marginBottom: '1.5rem'
-};
-
-const labelStyle = {
-  display: 'block',
-  marginBottom: '0.5rem',
-  fontWeight: 'bold',
-  color: '#333'
-};
-
-const inputStyle = {
-  width: '100%',
-  padding: '0.75rem',
-  border: '1px solid #ddd',
-  borderRadius: '4px',
-  fontSize: '1rem',
-  boxSizing: 'border-box'
-};
-
 const helpTextStyle = {
   display: 'block',
   marginTop: '0.5rem',
@@ -277,6 +393,30 @@ const linkButtonStyle = {
   fontSize: '0.9rem'
 };
 
+const questionStyle = {
+  marginBottom: '1rem'
+};
+
+const questionLabelStyle = {
+  display: 'block',
+  fontWeight: 'bold',
+  marginBottom: '0.25rem'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  boxSizing: 'border-box',
+  fontSize: '1rem'
+};
+
+const checkboxLabelStyle = {
+  display: 'block',
+  marginBottom: '0.25rem'
+};
+
 const submitButtonStyle = {
   backgroundColor: '#27ae60',
   color: 'white',
@@ -2,13 +2,17 @@
 // This page allows new users to create an account
 
 import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { createUser } from '../api/api';
 
 const RegisterUser = () => {
+  const navigate = useNavigate();
+  
   // State to store form input values
   const [formData, setFormData] = useState({
     name: '',
-    email: ''
+    email: '',
+    password: ''
   });
   
   // State to track form submission status
@@ -17,9 +21,6 @@ const RegisterUser = () => {
   // State to store success/error messages
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
-  
-  // State to store the created user ID
-  const [userId, setUserId] = useState('');
 
   // Function to handle input changes
   const handleInputChange = (e) => {
@@ -41,7 +42,7 @@ const RegisterUser = () => {
     e.preventDefault(); // Prevent page refresh
     
     // Basic form validation
-    if (!formData.name.trim() || !formData.email.trim()) {
+    if (!formData.name.trim() || !formData.email.trim() || !formData.password) {
       setError('Please fill in all fields');
       return;
     }
@@ -53,22 +54,29 @@ const RegisterUser = () => {
       return;
     }
     
+    // Password length must match the backend rule
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+    
     try {
       setLoading(true);
       setError('');
       setMessage('');
       
       // Call the API to create a new user
-      const response = await createUser(formData);
+      // The new user is logged in automatically
+      await createUser(formData);
       
-      // Show success message and store user ID
-      setMessage('User registered successfully!');
-      setUserId(response.user._id);
+      // Show success message
+      setMessage('Account created successfully! You are now logged in.');
       
       // Clear the form
       setFormData({
         name: '',
-        email: ''
+        email: '',
+        password: ''
       });
       
     } catch (err) {
@@ -118,6 +126,21 @@ const RegisterUser = () => {
           />
         </div>
         
+        {/* Password input */}
+        <div style={inputGroupStyle}>
+          <label htmlFor="password" style={labelStyle}>Password:</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            placeholder="At least 8 characters"
+            style={inputStyle}
+            disabled={loading}
+          />
+        </div>
+        
         {/* Submit button */}
         <button 
           type="submit" 
@@ -132,13 +155,9 @@ const RegisterUser = () => {
       {message && (
         <div style={successStyle}>
           <p>{message}</p>
-          {userId && (
-            <div style={userIdStyle}>
-              <strong>Your User ID:</strong> {userId}
-              <br />
-              <small>Save this ID - you'll need it to view your registrations!</small>
-            </div>
-          )}
+          <button onClick={() => navigate('/')} style={linkButtonStyle}>
+            Browse Events
+          </button>
         </div>
       )}
       
@@ -216,13 +235,13 @@ const errorStyle = {
   marginBottom: '1rem'
 };
 
-const userIdStyle = {
-  backgroundColor: '#fff3cd',
-  color: '#856404',
-  padding: '0.75rem',
+const linkButtonStyle = {
+  backgroundColor: '#27ae60',
+  color: 'white',
+  padding: '0.5rem 1rem',
+  border: 'none',
   borderRadius: '4px',
-  marginTop: '0.5rem',
-  fontFamily: 'monospace'
+  cursor: 'pointer'
 };
 
 export default RegisterUser;
\ No newline at end of file